@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// API key scoped to one project. Only a hash of the key is stored; the key itself is shown once.
+const ApiKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true, unique: true }, // Public part of the key, safe to display
+  keyHash: { type: String, required: true, unique: true },
+  name: String,
+  projectId: { type: String, required: true },
+  userId: String, // Runs started with this key are attributed to this user
+  role: { type: String, enum: ['read', 'execute', 'admin'], default: 'read' },
+  createdBy: String,
+  expiresAt: Date,
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+ApiKeySchema.index({ projectId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Approved screenshot a step is compared with when config.evidence.visual_compare is on
+const BaselineSchema = new mongoose.Schema({
+  baselineId: { type: String, required: true, unique: true },
+  projectId: { type: String, required: true },
+  testCaseId: { type: String, required: true },
+  stepIndex: { type: Number, required: true },
+  artifactId: { type: String, required: true }, // PNG in the artifact store, under "baselines"
+  runId: String, // Run the screenshot was approved from
+  approvedBy: String,
+  approvedAt: Date
+}, {
+  timestamps: true
+});
+
+BaselineSchema.index({ projectId: 1, testCaseId: 1, stepIndex: 1 }, { unique: true });
+
+module.exports = mongoose.model('Baseline', BaselineSchema);
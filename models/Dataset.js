@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Uploaded rows of variables; test cases reference it as dataset: "<datasetId>"
+const DatasetSchema = new mongoose.Schema({
+  datasetId: { type: String, required: true, unique: true },
+  projectId: { type: String, required: true },
+  name: { type: String, required: true },
+  format: { type: String, enum: ['csv', 'json'] }, // What was uploaded
+  columns: [String],
+  rows: [mongoose.Schema.Types.Mixed],
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+DatasetSchema.index({ projectId: 1, name: 1 });
+
+module.exports = mongoose.model('Dataset', DatasetSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Named, reusable list of steps; test cases and hooks run it with "Run fragment <name>"
+const FragmentSchema = new mongoose.Schema({
+  projectId: { type: String, required: true },
+  name: { type: String, required: true },
+  description: String,
+  params: [String], // Required parameters, substituted into the steps as {name}
+  steps: [mongoose.Schema.Types.Mixed], // Natural-language strings or structured steps
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+FragmentSchema.index({ projectId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Fragment', FragmentSchema);
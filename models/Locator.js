@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Selector that last found a step's target element, tried first the next time the step runs
+const LocatorSchema = new mongoose.Schema({
+  projectId: { type: String, default: null },
+  pageUrl: { type: String, required: true }, // Origin and path, without query or hash
+  action: { type: String, required: true }, // click or fill
+  text: { type: String, required: true }, // Step target, e.g. "Sign in"
+  selector: { type: String, required: true },
+  strategy: String, // role, label, placeholder, testid, text, css, fuzzy or fallback
+  healedAt: Date // Last time the previous selector stopped matching
+}, {
+  timestamps: true
+});
+
+LocatorSchema.index({ projectId: 1, pageUrl: 1, action: 1, text: 1 }, { unique: true });
+
+module.exports = mongoose.model('Locator', LocatorSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Recurring run of library test cases (a suite or a list of test case IDs) on a cron expression
+const ScheduleSchema = new mongoose.Schema({
+  scheduleId: { type: String, required: true, unique: true },
+  projectId: { type: String, required: true },
+  name: { type: String, required: true },
+  cron: { type: String, required: true }, // e.g. "0 * * * *" for every hour
+  timezone: { type: String, default: 'UTC' },
+
+  // What to run: a suite, or test cases from the library
+  suiteId: String,
+  testCases: [String],
+  url: String, // Defaults to the suite's baseUrl
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  enabled: { type: Boolean, default: true },
+  // After downtime: 'runOnce' catches up with a single run, 'skip' waits for the next slot
+  missedRuns: { type: String, enum: ['runOnce', 'skip'], default: 'runOnce' },
+
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastRunId: String,
+  lastError: String,
+  lastMissedAt: Date,
+
+  createdBy: String, // Scheduled runs are attributed to this user
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+ScheduleSchema.index({ enabled: 1, nextRunAt: 1 }); // Due schedules
+ScheduleSchema.index({ projectId: 1, name: 1 });
+
+module.exports = mongoose.model('Schedule', ScheduleSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Project secret, encrypted with SECRETS_KEY (AES-256-GCM); referenced in steps as {{secret:NAME}}
+const SecretSchema = new mongoose.Schema({
+  projectId: { type: String, required: true },
+  name: { type: String, required: true },
+  iv: { type: String, required: true },
+  tag: { type: String, required: true },
+  data: { type: String, required: true },
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+SecretSchema.index({ projectId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Secret', SecretSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Earlier steps of a test case, kept whenever they change
+const TestCaseVersionSchema = new mongoose.Schema({
+  version: Number,
+  title: String,
+  steps: [mongoose.Schema.Types.Mixed],
+  changedBy: String,
+  changedAt: Date,
+  changeNote: String
+}, { _id: false });
+
+// Test case stored in the project library, runnable on its own or as part of a suite
+const TestCaseSchema = new mongoose.Schema({
+  testCaseId: { type: String, required: true }, // e.g. TC-LOGIN-001, unique within the project
+  projectId: { type: String, required: true },
+  title: { type: String, required: true },
+  description: String,
+  type: String, // e.g. functional, regression, smoke
+  priority: String, // e.g. P1, high
+  tags: [String],
+  steps: [mongoose.Schema.Types.Mixed], // Natural-language strings or structured steps
+  retries: Number,
+  dataset: mongoose.Schema.Types.Mixed, // Rows of variables, or the ID of an uploaded dataset: runs once per row
+
+  // Current version; versions holds every version including this one
+  version: { type: Number, default: 1 },
+  versions: [TestCaseVersionSchema],
+
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+TestCaseSchema.index({ projectId: 1, testCaseId: 1 }, { unique: true });
+TestCaseSchema.index({ projectId: 1, tags: 1 });
+
+module.exports = mongoose.model('TestCase', TestCaseSchema);
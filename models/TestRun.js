@@ -1,63 +1,222 @@
 const mongoose = require('mongoose');
 
+// Accessibility rule an audited page (or element) breaks, as reported by axe-core
+const A11yViolationSchema = new mongoose.Schema({
+  id: String, // axe rule ID, e.g. color-contrast
+  impact: String, // minor, moderate, serious or critical
+  description: String,
+  help: String,
+  helpUrl: String,
+  nodeCount: Number,
+  nodes: [new mongoose.Schema({ // First 20 affected elements
+    target: [String],
+    html: String,
+    failureSummary: String
+  }, { _id: false })]
+}, { _id: false });
+
+const A11yCountsSchema = {
+  critical: Number,
+  serious: Number,
+  moderate: Number,
+  minor: Number
+};
+
 const TestStepSchema = new mongoose.Schema({
   index: Number,
   description: String,
-  status: { type: String, enum: ['PASS', 'FAIL', 'PENDING'] },
+  status: { type: String, enum: ['PASS', 'FAIL', 'WARN', 'SKIPPED', 'PENDING'] },
   timestamp: Date,
   durationMs: Number,
-  screenshot: String,
+  screenshot: String, // Inline data URL (runs stored before the artifact store)
+  screenshotId: String, // Artifact ID, served by GET /api/runs/:runId/artifacts/:artifactId
   log: String,
   error: String,
-  locator: String,
+  errorType: String, // STEP_TIMEOUT, TEST_TIMEOUT, ACTION_TIMEOUT, ASSERTION, VISUAL, A11Y or ERROR
+  expected: mongoose.Schema.Types.Mixed, // Failed assertions: what was expected
+  actual: mongoose.Schema.Types.Mixed, // ... and what was found
+  visual: { // Comparison with the approved baseline (config.evidence.visual_compare)
+    status: { type: String }, // MATCH, DIFF, or NEW when there is no baseline yet
+    baselineId: String,
+    diffId: String, // Diff image artifact, when the screenshots differ
+    diffPixels: Number,
+    diffRatio: Number, // Share of differing pixels, 0-1
+    threshold: Number,
+    sizeChanged: Boolean
+  },
+  a11y: { // Accessibility audit: audit steps, or config.evidence.a11y after a navigation
+    url: String,
+    scope: String, // Selector of the audited element, when not the whole page
+    violations: [A11yViolationSchema],
+    counts: A11yCountsSchema // Violations per impact
+  },
+  locator: String, // Selector that found the click/type target
+  healed: { // Set when the recorded selector stopped matching, or the target was found by fuzzy matching
+    from: String, // Recorded selector, if there was one
+    strategy: String, // What found the target instead: role, label, placeholder, testid, text, css, fuzzy or fallback
+    score: Number // Fuzzy match similarity, 0-1
+  },
+  parsed: mongoose.Schema.Types.Mixed, // Structured form the step was executed as
+  diagnostics: mongoose.Schema.Types.Mixed, // Parse diagnostics for WARN/FAIL steps
   networkLogs: [{
     url: String,
     method: String,
+    resourceType: String,
     status: Number,
+    statusText: String,
     timestamp: Date,
-    timeMs: Number
+    timeMs: Number,
+    timing: mongoose.Schema.Types.Mixed, // Playwright request.timing()
+    requestHeaders: mongoose.Schema.Types.Mixed,
+    responseHeaders: mongoose.Schema.Types.Mixed,
+    mimeType: String,
+    requestBody: String,
+    requestBodyTruncated: Boolean,
+    requestBodySize: Number,
+    responseBody: String,
+    responseBodyTruncated: Boolean,
+    responseBodySize: Number,
+    failure: String // Set for requests that never got a response
+  }],
+  consoleErrors: [{
+    type: { type: String }, // error, warning or pageerror
+    text: String,
+    location: String,
+    timestamp: Date
   }]
 });
 
+// One execution of a test case; retried test cases keep every attempt
+const TestCaseAttemptSchema = new mongoose.Schema({
+  attempt: Number, // 1-based
+  status: { type: String, enum: ['PASS', 'FAIL', 'WARN', 'SKIPPED', 'PENDING'] },
+  executedSteps: [TestStepSchema],
+  error: String,
+  traceId: String,
+  videoId: String,
+  startedAt: Date,
+  durationMs: Number,
+  summary: {
+    passed: Number,
+    failed: Number,
+    warnings: Number,
+    skipped: Number,
+    healed: Number, // Steps whose target was found by self-healing
+    total: Number
+  }
+}, { _id: false });
+
+// One dataset row of a data-driven test case, reported as "<id>[row <n>]"
+const TestCaseIterationSchema = new mongoose.Schema({
+  id: String,
+  title: String,
+  row: Number, // 1-based
+  data: mongoose.Schema.Types.Mixed, // The row's variables
+  status: { type: String, enum: ['PASS', 'FAIL', 'WARN', 'FLAKY', 'SKIPPED', 'PENDING'] },
+  executedSteps: [TestStepSchema],
+  attempts: [TestCaseAttemptSchema],
+  error: String,
+  traceId: String,
+  videoId: String,
+  summary: {
+    passed: Number,
+    failed: Number,
+    warnings: Number,
+    skipped: Number,
+    healed: Number,
+    total: Number
+  }
+}, { _id: false });
+
 const TestCaseResultSchema = new mongoose.Schema({
   id: String,
   title: String,
   type: String,
   priority: String,
-  status: { type: String, enum: ['PASS', 'FAIL', 'PENDING'] },
-  executedSteps: [TestStepSchema],
+  steps: [mongoose.Schema.Types.Mixed], // Natural-language strings or structured steps
+  retries: Number, // Overrides config.retries for this test case
+  version: Number, // Library test case version, for runs of saved suites
+  dataset: [mongoose.Schema.Types.Mixed], // Rows of variables: one iteration per row
+  status: { type: String, enum: ['PASS', 'FAIL', 'WARN', 'FLAKY', 'SKIPPED', 'PENDING'] }, // FLAKY: failed, then passed on retry
+  executedSteps: [TestStepSchema], // Steps of the final attempt
+  attempts: [TestCaseAttemptSchema], // Only when retries are enabled
+  iterations: [TestCaseIterationSchema], // Data-driven test cases: a result per dataset row
+  error: String,
+  traceId: String, // Playwright trace zip (artifact ID)
+  videoId: String, // Recorded video (artifact ID)
   summary: {
     passed: Number,
     failed: Number,
+    warnings: Number,
+    skipped: Number,
+    healed: Number, // Steps whose target was found by self-healing
     total: Number
   }
 });
 
+// One run of a config.hooks step list; each-hooks name the test case they ran around
+const HookResultSchema = new mongoose.Schema({
+  hook: { type: String, enum: ['beforeAll', 'beforeEach', 'afterEach', 'afterAll'] },
+  testCaseId: String,
+  status: { type: String, enum: ['PASS', 'FAIL', 'WARN', 'SKIPPED'] },
+  executedSteps: [TestStepSchema],
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
 const TestRunSchema = new mongoose.Schema({
   // Metadata
   runId: { type: String, required: true, unique: true },
   projectId: String,
   userId: String,
 
+  // Saved suite this run executed, if any
+  suite: {
+    suiteId: String,
+    name: String,
+    version: Number
+  },
+
+  // Schedule that started this run, if any
+  schedule: {
+    scheduleId: String,
+    name: String
+  },
+
   // Configuration
   url: { type: String, required: true },
   config: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
-  },
+  }, // Literal credentials redacted
+  sealed: { type: String, select: false }, // Encrypted original config and test cases, when they had to be redacted
 
   // Results
   testCases: [TestCaseResultSchema],
+  hookResults: [HookResultSchema], // Setup and teardown, reported apart from the test cases
 
   // Summary
   summary: {
     total: Number,
     passed: Number,
     failed: Number,
+    warnings: Number,
+    flaky: Number,
+    skipped: Number,
     pending: Number,
+    healed: Number, // Healed steps across all test cases
+    a11y: A11yCountsSchema, // Accessibility violations per impact, over every audit
+    hooksFailed: Number, // Failed hook runs; test cases a before hook kept from running count as skipped
     duration: Number // Total execution time in ms
   },
 
+  // Live progress while the run is executing
+  progress: {
+    total: Number,
+    completed: Number,
+    currentTestCase: String
+  },
+
   // Timestamps
   startedAt: { type: Date, required: true },
   completedAt: Date,
@@ -65,12 +224,22 @@ const TestRunSchema = new mongoose.Schema({
   // Status
   status: {
     type: String,
-    enum: ['RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'],
+    enum: ['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'],
     default: 'RUNNING'
   },
 
+  // Server instance (INSTANCE_ID) executing the run; only it recovers the run after a restart
+  instanceId: String,
+
   // Error info if run failed
-  error: String
+  error: String,
+
+  // Set when the run was cancelled
+  cancellation: {
+    reason: String,
+    cancelledBy: String,
+    cancelledAt: Date
+  }
 }, {
   timestamps: true // Adds createdAt and updatedAt
 });
@@ -80,5 +249,7 @@ TestRunSchema.index({ runId: 1 });
 TestRunSchema.index({ userId: 1, createdAt: -1 }); // User's recent runs
 TestRunSchema.index({ projectId: 1, createdAt: -1 }); // Project history
 TestRunSchema.index({ status: 1 });
+TestRunSchema.index({ 'suite.suiteId': 1, createdAt: -1 }); // Suite history
+TestRunSchema.index({ 'schedule.scheduleId': 1, createdAt: -1 }); // Schedule history
 
 module.exports = mongoose.model('TestRun', TestRunSchema);
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a suite definition; runs reference the version they executed
+const TestSuiteVersionSchema = new mongoose.Schema({
+  version: Number,
+  testCases: [String],
+  baseUrl: String,
+  config: mongoose.Schema.Types.Mixed,
+  changedBy: String,
+  changedAt: Date
+}, { _id: false });
+
+// Ordered collection of library test cases with a default URL and config
+const TestSuiteSchema = new mongoose.Schema({
+  suiteId: { type: String, required: true, unique: true },
+  projectId: { type: String, required: true },
+  name: { type: String, required: true },
+  description: String,
+  tags: [String],
+  testCases: [String], // testCaseIds, in execution order
+  baseUrl: String, // Used when an execution does not name a URL
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  version: { type: Number, default: 1 },
+  versions: [TestSuiteVersionSchema],
+
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+TestSuiteSchema.index({ projectId: 1, name: 1 });
+
+module.exports = mongoose.model('TestSuite', TestSuiteSchema);
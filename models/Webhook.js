@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Outbound notification sent when a project's runs finish
+const WebhookSchema = new mongoose.Schema({
+  webhookId: { type: String, required: true, unique: true },
+  projectId: { type: String, required: true },
+  name: String,
+  url: { type: String, required: true },
+  format: { type: String, enum: ['json', 'slack', 'teams'], default: 'json' },
+  secretSealed: { type: String, select: false }, // Encrypted HMAC signing secret
+  events: { type: [String], default: ['COMPLETED', 'FAILED'] }, // Run statuses that notify
+
+  // Notifies when any chosen condition holds; with none chosen every run notifies
+  conditions: {
+    onFailure: Boolean, // A test case failed or the run failed
+    onStatusChange: Boolean, // Passed/failed differs from the previous comparable run
+    passRateBelow: Number // Percentage, 0-100
+  },
+
+  enabled: { type: Boolean, default: true },
+  lastDelivery: {
+    runId: String,
+    status: { type: String }, // DELIVERED or FAILED
+    httpStatus: Number,
+    attempts: Number,
+    error: String,
+    at: Date
+  },
+
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+WebhookSchema.index({ projectId: 1, enabled: 1 });
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,94 @@
+// services/accessibility.js - axe-core accessibility audits of the page under test
+const axe = require('axe-core');
+
+// Least to most severe, as reported by axe
+const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+const DEFAULT_FAIL_ON = 'serious';
+const MAX_NODES = 20; // Affected nodes kept per violation
+const MAX_HTML_LENGTH = 300;
+
+// config.evidence.a11y: true, or { scan_on_navigation, fail_on, max_violations, tags }.
+// fail_on is the least severe impact that counts towards max_violations, or 'none'.
+function a11yOptions(value) {
+  const options = value && typeof value === 'object' ? value : {};
+  const failOn = options.fail_on === 'none' || IMPACTS.includes(options.fail_on) ? options.fail_on : DEFAULT_FAIL_ON;
+  const maxViolations = parseInt(options.max_violations);
+
+  return {
+    onNavigation: Boolean(value) && options.scan_on_navigation !== false,
+    failOn,
+    maxViolations: maxViolations >= 0 ? maxViolations : 0,
+    tags: Array.isArray(options.tags) ? options.tags.filter(tag => typeof tag === 'string') : []
+  };
+}
+
+function emptyCounts() {
+  return Object.fromEntries(IMPACTS.map(impact => [impact, 0]));
+}
+
+function truncate(value, length) {
+  return value && value.length > length ? `${value.slice(0, length)}...` : value;
+}
+
+// Audits the page, or the element matching scope (a Playwright selector). Resolves to
+// { url, scope, violations, counts } where counts holds the number of violations per impact.
+async function auditPage(page, { scope, tags = [], timeout } = {}) {
+  const loaded = await page.evaluate(() => typeof window.axe !== 'undefined');
+  if (!loaded) await page.evaluate(axe.source);
+
+  const element = scope ? await page.locator(scope).first().elementHandle({ timeout }) : null;
+  const runOptions = { resultTypes: ['violations'] };
+  if (tags.length > 0) runOptions.runOnly = { type: 'tag', values: tags };
+
+  const results = await page.evaluate(
+    ([context, options]) => window.axe.run(context || document, options),
+    [element, runOptions]
+  );
+  if (element) await element.dispose();
+
+  const counts = emptyCounts();
+  const violations = results.violations.map((violation) => {
+    if (violation.impact in counts) counts[violation.impact]++;
+    return {
+      id: violation.id,
+      impact: violation.impact,
+      description: violation.description,
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      nodeCount: violation.nodes.length,
+      nodes: violation.nodes.slice(0, MAX_NODES).map(node => ({
+        target: node.target.map(String),
+        html: truncate(node.html, MAX_HTML_LENGTH),
+        failureSummary: node.failureSummary
+      }))
+    };
+  });
+
+  return { url: page.url(), scope: scope || undefined, violations, counts };
+}
+
+// Error message when the audit has more violations at or above failOn than allowed, else null
+function thresholdError(audit, { failOn, maxViolations }) {
+  if (failOn === 'none') return null;
+
+  const severe = IMPACTS.slice(IMPACTS.indexOf(failOn));
+  const failing = audit.violations.filter(violation => severe.includes(violation.impact));
+  if (failing.length <= maxViolations) return null;
+
+  return `${failing.length} accessibility violation${failing.length > 1 ? 's' : ''} at or above "${failOn}" ` +
+    `(${maxViolations} allowed): ${failing.map(violation => violation.id).join(', ')}`;
+}
+
+// Violations per impact over every audited step of the given test case results
+function countViolations(results) {
+  const counts = emptyCounts();
+  for (const result of results) {
+    for (const step of result.executedSteps || []) {
+      for (const impact of IMPACTS) counts[impact] += step.a11y?.counts?.[impact] || 0;
+    }
+  }
+  return counts;
+}
+
+module.exports = { IMPACTS, a11yOptions, auditPage, thresholdError, countViolations };
@@ -0,0 +1,151 @@
+// services/artifactStore.js - Run artifacts (screenshots etc.) kept outside MongoDB
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  json: 'application/json',
+  zip: 'application/zip',
+  webm: 'video/webm',
+  har: 'application/json'
+};
+
+// Artifact IDs are generated here; anything else coming from a URL is rejected
+const ARTIFACT_ID = /^[\w-]+\.[a-z0-9]+$/i;
+
+function isValidArtifactId(artifactId) {
+  return ARTIFACT_ID.test(artifactId);
+}
+
+// Run IDs are UUIDs; they name the run's artifact directory
+const RUN_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isValidRunId(runId) {
+  return RUN_ID.test(runId);
+}
+
+function contentTypeFor(artifactId) {
+  const ext = artifactId.split('.').pop().toLowerCase();
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+class LocalArtifactStore {
+  constructor({ root }) {
+    this.root = path.resolve(root);
+  }
+
+  async save(runId, data, { extension }) {
+    const artifactId = `${uuidv4()}.${extension}`;
+    const dir = path.join(this.root, runId);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, artifactId), data);
+    return artifactId;
+  }
+
+  // Resolves to { stream, contentType, size } or null when missing
+  async read(runId, artifactId) {
+    const file = path.join(this.root, runId, artifactId);
+    try {
+      const stat = await fs.promises.stat(file);
+      return { stream: fs.createReadStream(file), contentType: contentTypeFor(artifactId), size: stat.size };
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async deleteRun(runId) {
+    await fs.promises.rm(path.join(this.root, runId), { recursive: true, force: true });
+  }
+}
+
+// Any S3-compatible service (AWS, MinIO, R2...)
+class S3ArtifactStore {
+  constructor({ bucket, prefix = '', ...clientOptions }) {
+    const { S3Client } = require('@aws-sdk/client-s3');
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = new S3Client(clientOptions);
+  }
+
+  key(runId, artifactId = '') {
+    return `${this.prefix}${runId}/${artifactId}`;
+  }
+
+  async save(runId, data, { extension }) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    const artifactId = `${uuidv4()}.${extension}`;
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key(runId, artifactId),
+      Body: data,
+      ContentType: contentTypeFor(artifactId)
+    }));
+    return artifactId;
+  }
+
+  async read(runId, artifactId) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    try {
+      const object = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.key(runId, artifactId)
+      }));
+      return {
+        stream: object.Body,
+        contentType: object.ContentType || contentTypeFor(artifactId),
+        size: object.ContentLength
+      };
+    } catch (e) {
+      if (e.name === 'NoSuchKey' || e.$metadata?.httpStatusCode === 404) return null;
+      throw e;
+    }
+  }
+
+  async deleteRun(runId) {
+    const { ListObjectsV2Command, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+    let ContinuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.key(runId),
+        ContinuationToken
+      }));
+
+      if (page.Contents?.length) {
+        await this.client.send(new DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: { Objects: page.Contents.map(obj => ({ Key: obj.Key })) }
+        }));
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  }
+}
+
+function createArtifactStore(env = process.env) {
+  if (env.ARTIFACT_STORE === 's3') {
+    console.log(`[ARTIFACTS] Using S3 bucket ${env.S3_BUCKET}${env.S3_ENDPOINT ? ` at ${env.S3_ENDPOINT}` : ''}`);
+    return new S3ArtifactStore({
+      bucket: env.S3_BUCKET,
+      prefix: env.S3_PREFIX || '',
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT || undefined,
+      forcePathStyle: Boolean(env.S3_ENDPOINT), // MinIO and most self-hosted services
+      credentials: env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+  }
+
+  const root = env.ARTIFACT_DIR || path.join(__dirname, '..', 'artifacts');
+  console.log(`[ARTIFACTS] Using local directory ${path.resolve(root)}`);
+  return new LocalArtifactStore({ root });
+}
+
+module.exports = { createArtifactStore, isValidArtifactId, isValidRunId };
@@ -0,0 +1,171 @@
+// services/assertions.js - Assertion steps with expected vs. actual reporting
+const { candidateSelectors } = require('./stepParser');
+
+const ASSERTION_TIMEOUT = 5000;
+const POLL_INTERVAL = 100;
+
+class AssertionError extends Error {
+  constructor(message, { expected, actual } = {}) {
+    super(message);
+    this.name = 'AssertionError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// Accepts "/source/flags" or a bare pattern
+function toRegExp(pattern) {
+  const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+}
+
+function matchesComparison(actual, step) {
+  if (actual === null || actual === undefined) return false;
+  const value = String(actual);
+
+  if (step.equals !== undefined && value !== String(step.equals)) return false;
+  if (step.contains !== undefined && !value.includes(step.contains)) return false;
+  if (step.matches !== undefined && !toRegExp(step.matches).test(value)) return false;
+  return true;
+}
+
+function describeComparison(step) {
+  const parts = [];
+  if (step.equals !== undefined) parts.push(`equals "${step.equals}"`);
+  if (step.contains !== undefined) parts.push(`contains "${step.contains}"`);
+  if (step.matches !== undefined) parts.push(`matches ${step.matches}`);
+  return parts.join(' and ');
+}
+
+function describeCount(step) {
+  const parts = [];
+  if (step.equals !== undefined) parts.push(`= ${step.equals}`);
+  if (step.min !== undefined) parts.push(`>= ${step.min}`);
+  if (step.max !== undefined) parts.push(`<= ${step.max}`);
+  return `count ${parts.join(' and ')}`;
+}
+
+// Locator for a { selector } or { text } target, trying every candidate selector
+function targetLocator(page, step) {
+  if (step.selector) return page.locator(step.selector);
+
+  return candidateSelectors(step.action, step.text)
+    .map(selector => page.locator(selector))
+    .reduce((combined, locator) => combined.or(locator));
+}
+
+// Re-reads the actual value until check passes or the timeout runs out
+async function poll(getActual, check, timeout) {
+  const deadline = Date.now() + timeout;
+  let actual;
+
+  for (;;) {
+    try {
+      actual = await getActual();
+    } catch (e) {
+      actual = null;
+    }
+    if (check(actual)) return { passed: true, actual };
+    if (Date.now() >= deadline) return { passed: false, actual };
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+}
+
+// action -> { subject, expected, read, check }
+const assertions = {
+  assertText: (page, step) => ({
+    subject: `text of ${step.selector || `"${step.text}"`}`,
+    expected: describeComparison(step),
+    read: async () => (await targetLocator(page, step).first().innerText({ timeout: POLL_INTERVAL })).trim(),
+    check: actual => matchesComparison(actual, step)
+  }),
+
+  assertCount: (page, step) => ({
+    subject: `${step.selector || `"${step.text}"`}`,
+    expected: describeCount(step),
+    read: () => targetLocator(page, step).count(),
+    check: actual => actual !== null &&
+      (step.equals === undefined || actual === step.equals) &&
+      (step.min === undefined || actual >= step.min) &&
+      (step.max === undefined || actual <= step.max)
+  }),
+
+  assertHidden: (page, step) => ({
+    subject: `${step.selector || `"${step.text}"`}`,
+    expected: 'hidden',
+    read: async () => (await targetLocator(page, step).first().isVisible() ? 'visible' : 'hidden'),
+    check: actual => actual === 'hidden'
+  }),
+
+  assertDisabled: (page, step) => ({
+    subject: `${step.selector || `"${step.text}"`}`,
+    expected: 'disabled',
+    read: async () => (await targetLocator(page, step).first().isDisabled({ timeout: POLL_INTERVAL }) ? 'disabled' : 'enabled'),
+    check: actual => actual === 'disabled'
+  }),
+
+  assertEnabled: (page, step) => ({
+    subject: `${step.selector || `"${step.text}"`}`,
+    expected: 'enabled',
+    read: async () => (await targetLocator(page, step).first().isEnabled({ timeout: POLL_INTERVAL }) ? 'enabled' : 'disabled'),
+    check: actual => actual === 'enabled'
+  }),
+
+  assertValue: (page, step) => ({
+    subject: `value of ${step.selector || `"${step.text}"`}`,
+    expected: describeComparison(step),
+    read: () => targetLocator(page, step).first().inputValue({ timeout: POLL_INTERVAL }),
+    check: actual => matchesComparison(actual, step)
+  }),
+
+  assertAttribute: (page, step) => ({
+    subject: `attribute "${step.name}" of ${step.selector || `"${step.text}"`}`,
+    expected: describeComparison(step),
+    read: () => targetLocator(page, step).first().getAttribute(step.name, { timeout: POLL_INTERVAL }),
+    check: actual => matchesComparison(actual, step)
+  }),
+
+  assertUrl: (page, step) => ({
+    subject: 'page URL',
+    expected: describeComparison(step),
+    read: async () => page.url(),
+    check: actual => matchesComparison(actual, step)
+  }),
+
+  assertTitle: (page, step) => ({
+    subject: 'page title',
+    expected: describeComparison(step),
+    read: () => page.title(),
+    check: actual => matchesComparison(actual, step)
+  }),
+
+  assertVariable: (page, step, testContext) => ({
+    subject: `variable {${step.name}}`,
+    expected: describeComparison(step),
+    read: async () => testContext[step.name] ?? null,
+    check: actual => matchesComparison(actual, step),
+    timeout: 0
+  })
+};
+
+function isAssertion(action) {
+  return Object.prototype.hasOwnProperty.call(assertions, action);
+}
+
+// defaultTimeout comes from config.timeouts.assertion; a step's own timeout wins
+async function runAssertion(page, step, testContext, defaultTimeout = ASSERTION_TIMEOUT) {
+  const assertion = assertions[step.action](page, step, testContext);
+  const timeout = step.timeout ?? assertion.timeout ?? defaultTimeout;
+  const { passed, actual } = await poll(assertion.read, assertion.check, timeout);
+
+  if (!passed) {
+    throw new AssertionError(
+      `Assertion failed: expected ${assertion.subject} ${assertion.expected}, but was ${JSON.stringify(actual)}`,
+      { expected: assertion.expected, actual }
+    );
+  }
+
+  console.log(`  → Verified ${assertion.subject} ${assertion.expected}`);
+}
+
+module.exports = { AssertionError, isAssertion, runAssertion };
@@ -0,0 +1,146 @@
+// services/auth.js - API key / JWT authentication and project-scoped roles
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+// Each role includes the ones before it
+const ROLES = ['read', 'execute', 'admin'];
+const KEY_PREFIX = 'qa_';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Returns { keyId, key }; only hashKey(key) is ever stored
+function generateApiKey() {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { keyId, key: `${KEY_PREFIX}${keyId}_${secret}` };
+}
+
+function hasRole(principal, role) {
+  return ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+// HS256 tokens signed with JWT_SECRET. Claims: sub (user), projectId, role
+function verifyJwt(token, secret) {
+  const [header, payload, signature] = token.split('.');
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  if (!signature || !safeEqual(signature, expected)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'HS256') return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    const now = Date.now() / 1000;
+    if (claims.exp !== undefined && claims.exp < now) return null;
+    if (claims.nbf !== undefined && claims.nbf > now) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+function readToken(req, { queryToken }) {
+  const header = req.get('Authorization');
+  if (header && /^Bearer /i.test(header)) return header.slice(7).trim();
+  if (req.get('X-API-Key')) return req.get('X-API-Key');
+  // EventSource cannot send headers
+  if (queryToken && req.query.access_token) return String(req.query.access_token);
+  return null;
+}
+
+// { type, userId, projectId, role, keyId? } for a valid token, null otherwise.
+// projectId is null for the ADMIN_API_KEY, which is not tied to a project.
+async function resolvePrincipal(token, env = process.env) {
+  if (env.ADMIN_API_KEY && safeEqual(token, env.ADMIN_API_KEY)) {
+    return { type: 'admin', userId: 'admin', projectId: null, role: 'admin' };
+  }
+
+  if (token.split('.').length === 3) {
+    if (!env.JWT_SECRET) return null;
+    const claims = verifyJwt(token, env.JWT_SECRET);
+    const role = claims?.role || 'read';
+    if (!claims?.projectId || !ROLES.includes(role)) return null;
+    return { type: 'jwt', userId: String(claims.sub || 'anonymous'), projectId: String(claims.projectId), role };
+  }
+
+  if (!token.startsWith(KEY_PREFIX)) return null;
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(token), revokedAt: null });
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt < new Date())) return null;
+
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+    .catch(err => console.error('[AUTH] Failed to update key usage:', err.message));
+  return {
+    type: 'apiKey',
+    keyId: apiKey.keyId,
+    userId: apiKey.userId || `key:${apiKey.keyId}`,
+    projectId: apiKey.projectId,
+    role: apiKey.role
+  };
+}
+
+// AUTH_DISABLED=true (local development): everything is allowed and the request says who it is
+function anonymousPrincipal(req) {
+  return {
+    type: 'anonymous',
+    userId: req.body?.userId || req.query.userId || 'anonymous',
+    projectId: null,
+    role: 'admin'
+  };
+}
+
+// Route middleware: authenticates the caller into req.principal and requires at least `role`
+function requireRole(role, { queryToken = false } = {}) {
+  return async (req, res, next) => {
+    if (process.env.AUTH_DISABLED === 'true') {
+      req.principal = anonymousPrincipal(req);
+      return next();
+    }
+
+    try {
+      const token = readToken(req, { queryToken });
+      if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      const principal = await resolvePrincipal(token);
+      if (!principal) {
+        return res.status(401).json({ error: 'Invalid or expired credentials' });
+      }
+      if (!hasRole(principal, role)) {
+        return res.status(403).json({ error: `This action requires the ${role} role` });
+      }
+
+      req.principal = principal;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// Project a request works in: the principal's own, or the requested one for unscoped principals
+function principalProject(principal, requested) {
+  return principal.projectId || requested || null;
+}
+
+// Query filter restricting documents to the principal's project
+function projectScope(principal, requested) {
+  const projectId = principalProject(principal, requested);
+  return projectId ? { projectId } : {};
+}
+
+module.exports = {
+  ROLES,
+  hashKey,
+  generateApiKey,
+  hasRole,
+  requireRole,
+  principalProject,
+  projectScope
+};
@@ -0,0 +1,191 @@
+// services/authStrategies.js - Pluggable login strategies for config.authentication
+const { DEFAULT_TIMEOUTS } = require('./timeouts');
+
+const USERNAME_SELECTORS = [
+  'input[autocomplete="username"]',
+  'input[type="email"]',
+  'input[name*="user" i]',
+  'input[name*="email" i]',
+  'input[name*="login" i]',
+  'input[id*="user" i]',
+  'input[id*="email" i]',
+  'input[placeholder*="user" i]',
+  'input[placeholder*="email" i]',
+  'input[type="text"]'
+];
+
+const PASSWORD_SELECTORS = [
+  'input[autocomplete="current-password"]',
+  'input[type="password"]'
+];
+
+const SUBMIT_SELECTORS = [
+  'button[type="submit"]',
+  'input[type="submit"]',
+  'button:has-text("Sign in")',
+  'button:has-text("Log in")',
+  'button:has-text("Login")',
+  '[role="button"]:has-text("Sign in")',
+  '[role="button"]:has-text("Log in")'
+];
+
+// Returns the first selector that matches a visible element, or null
+async function findVisible(page, selectors) {
+  for (const selector of selectors) {
+    const visible = await page.locator(selector).first().isVisible().catch(() => false);
+    if (visible) return selector;
+  }
+  return null;
+}
+
+function originOf(auth, url) {
+  return new URL(auth.origin || url).origin;
+}
+
+const strategies = {
+  // Fill and submit a login form
+  form: {
+    async login(page, auth, timeouts) {
+      if (!auth.loginUrl) throw new Error('Form login requires authentication.loginUrl');
+
+      const selectors = auth.selectors || {};
+      await page.goto(auth.loginUrl, { waitUntil: 'networkidle', timeout: timeouts.navigation });
+      await page.waitForSelector(selectors.password || 'input[type="password"]', { state: 'visible', timeout: 10000 })
+        .catch(() => { });
+
+      const usernameSelector = selectors.username || await findVisible(page, USERNAME_SELECTORS);
+      const passwordSelector = selectors.password || await findVisible(page, PASSWORD_SELECTORS);
+      if (!usernameSelector) throw new Error('Login failed: could not find a username field');
+      if (!passwordSelector) throw new Error('Login failed: could not find a password field');
+
+      await page.fill(usernameSelector, auth.username || '');
+      await page.fill(passwordSelector, auth.password || '');
+      console.log(`  → Filled credentials into ${usernameSelector} / ${passwordSelector}`);
+
+      const submitSelector = selectors.submit || await findVisible(page, SUBMIT_SELECTORS);
+      if (submitSelector) {
+        await page.click(submitSelector);
+        console.log(`  → Submitted login form via ${submitSelector}`);
+      } else {
+        await page.press(passwordSelector, 'Enter');
+        console.log('  → Submitted login form with Enter');
+      }
+
+      await page.waitForLoadState('networkidle', { timeout: timeouts.navigation }).catch(() => { });
+    }
+  },
+
+  // HTTP basic auth, answered by the browser on every challenge
+  basic: {
+    contextOptions(auth) {
+      const httpCredentials = { username: auth.username, password: auth.password };
+      if (auth.origin) httpCredentials.origin = new URL(auth.origin).origin;
+      return { httpCredentials };
+    }
+  },
+
+  // Token sent as a request header, limited to the application's origin
+  bearer: {
+    async setupContext(context, auth, url) {
+      if (!auth.token) throw new Error('Bearer authentication requires authentication.token');
+
+      const origin = originOf(auth, url);
+      const headerName = auth.headerName || 'Authorization';
+      const headerValue = headerName.toLowerCase() === 'authorization' ? `Bearer ${auth.token}` : auth.token;
+
+      await context.route(requestUrl => requestUrl.origin === origin, route => route.continue({
+        headers: { ...route.request().headers(), [headerName.toLowerCase()]: headerValue }
+      }));
+      console.log(`  → Injected ${headerName} header for ${origin}`);
+    }
+  },
+
+  // Pre-issued session cookies
+  cookie: {
+    async setupContext(context, auth, url) {
+      if (!Array.isArray(auth.cookies) || auth.cookies.length === 0) {
+        throw new Error('Cookie authentication requires authentication.cookies');
+      }
+
+      const origin = originOf(auth, url);
+      await context.addCookies(auth.cookies.map(cookie =>
+        cookie.url || cookie.domain ? cookie : { ...cookie, url: origin }
+      ));
+      console.log(`  → Injected ${auth.cookies.length} cookie(s)`);
+    }
+  },
+
+  // Replay a saved Playwright storageState, given inline. A string would be read as a path on
+  // the server, so it is refused.
+  storageState: {
+    contextOptions(auth) {
+      if (!auth.storageState || typeof auth.storageState !== 'object' || Array.isArray(auth.storageState)) {
+        throw new Error('storageState authentication requires authentication.storageState as an object ({ cookies, origins })');
+      }
+      return { storageState: auth.storageState };
+    }
+  }
+};
+
+function getStrategy(auth) {
+  const name = auth.strategy || 'form';
+  const strategy = strategies[name];
+  if (!strategy) throw new Error(`Unknown authentication strategy: ${name}`);
+  return strategy;
+}
+
+// Options that have to be set when the browser context is created
+function getAuthContextOptions(auth) {
+  const strategy = getStrategy(auth);
+  return strategy.contextOptions ? strategy.contextOptions(auth) : {};
+}
+
+async function verifyLogin(page, check) {
+  const timeout = check.timeout || 10000;
+
+  if (check.urlPattern) {
+    const pattern = new RegExp(check.urlPattern);
+    try {
+      await page.waitForURL(pattern, { timeout });
+    } catch (e) {
+      throw new Error(`Login failed: URL ${page.url()} does not match ${check.urlPattern}`);
+    }
+  }
+
+  if (check.selector) {
+    try {
+      await page.waitForSelector(check.selector, { state: 'visible', timeout });
+    } catch (e) {
+      throw new Error(`Login failed: ${check.selector} not visible after login`);
+    }
+  }
+}
+
+// Per-context setup (headers, cookies). Needed again for every new context.
+async function setupAuthContext(context, auth, url) {
+  const strategy = getStrategy(auth);
+  if (strategy.setupContext) {
+    await strategy.setupContext(context, auth, url);
+  }
+}
+
+// timeouts: the run's resolved config.timeouts; the login pages load within timeouts.navigation
+async function performLogin(page, context, auth, url, timeouts = DEFAULT_TIMEOUTS) {
+  const strategy = getStrategy(auth);
+  console.log(`[AUTH] Using ${auth.strategy || 'form'} strategy`);
+
+  await setupAuthContext(context, auth, url);
+  if (strategy.login) {
+    await strategy.login(page, auth, timeouts);
+  }
+
+  if (auth.successCheck) {
+    if (page.url() === 'about:blank') {
+      await page.goto(auth.loginUrl || url, { waitUntil: 'networkidle', timeout: timeouts.navigation });
+    }
+    await verifyLogin(page, auth.successCheck);
+    console.log('[AUTH] Login verified');
+  }
+}
+
+module.exports = { getAuthContextOptions, setupAuthContext, performLogin };
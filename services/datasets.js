@@ -0,0 +1,149 @@
+// services/datasets.js - Data-driven test cases: dataset parsing and one iteration per row
+const MAX_ROWS = 1000;
+
+// Worst status first: one failed row fails the parent test case
+const STATUS_ORDER = ['FAIL', 'SKIPPED', 'FLAKY', 'WARN', 'PASS', 'PENDING'];
+
+// RFC 4180 CSV with a header row; quoted fields may contain commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) throw new Error('CSV has an unterminated quoted field');
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...data] = records.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) throw new Error('CSV has no header row');
+
+  const columns = header.map(name => name.trim());
+  if (columns.some(name => !name)) throw new Error('CSV header has an empty column name');
+  if (new Set(columns).size !== columns.length) throw new Error('CSV header has duplicate column names');
+
+  return data.map(values => Object.fromEntries(columns.map((name, i) => [name, values[i] ?? ''])));
+}
+
+// Error message when rows are not a usable dataset, or null
+function rowsError(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) return 'dataset must be a non-empty array of rows';
+  if (rows.length > MAX_ROWS) return `dataset has more than ${MAX_ROWS} rows`;
+
+  const badRow = rows.findIndex(row => !row || typeof row !== 'object' || Array.isArray(row) ||
+    Object.values(row).some(value => value !== null && typeof value === 'object'));
+  return badRow === -1 ? null : `dataset row ${badRow + 1} must be an object of plain values`;
+}
+
+// Rows from an upload: { rows }, { csv } or { json } (a JSON array as text)
+function parseDataset({ rows, csv, json }) {
+  let parsed = rows;
+  if (typeof csv === 'string') parsed = parseCsv(csv);
+  if (typeof json === 'string') {
+    try {
+      parsed = JSON.parse(json);
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
+  }
+
+  const error = rowsError(parsed);
+  if (error) throw new Error(error);
+  return parsed;
+}
+
+// tc.dataset: inline rows, or the ID of an uploaded dataset
+function datasetError(dataset) {
+  if (dataset === undefined || dataset === null) return null;
+  if (typeof dataset === 'string') return dataset ? null : 'dataset ID must not be empty';
+  return rowsError(dataset);
+}
+
+function columnsOf(rows) {
+  return [...new Set(rows.flatMap(row => Object.keys(row)))];
+}
+
+function iterationId(testCaseId, row) {
+  return `${testCaseId}[row ${row}]`;
+}
+
+// One unit of execution per test case, or per dataset row: { tc, index, row }. index is the
+// parent test case's position; iterations get their own ID and the row as tc.data.
+function expandIterations(testCases) {
+  return testCases.flatMap((tc, index) => {
+    if (!Array.isArray(tc.dataset) || tc.dataset.length === 0) return [{ tc, index }];
+
+    const { dataset, ...definition } = tc;
+    return dataset.map((data, i) => ({
+      tc: { ...definition, id: iterationId(tc.id, i + 1), row: i + 1, data },
+      index,
+      row: i + 1
+    }));
+  });
+}
+
+// Parent test case result holding every iteration's result
+function combineIterations(tc, results) {
+  const statuses = results.map(result => result.status);
+  const failed = statuses.filter(status => status === 'FAIL').length;
+  const summary = { passed: 0, failed: 0, warnings: 0, skipped: 0, healed: 0, total: 0 };
+  for (const result of results) {
+    Object.keys(summary).forEach(key => { summary[key] += result.summary?.[key] || 0; });
+  }
+
+  return {
+    ...tc,
+    status: STATUS_ORDER.find(status => statuses.includes(status)) || 'PENDING',
+    error: failed > 0 ? `${failed} of ${results.length} dataset rows failed` : undefined,
+    executedSteps: [],
+    iterations: results.map(({ id, title, row, data, status, executedSteps, attempts, error, traceId, videoId, summary: counts }) => ({
+      id, title, row, data, status, executedSteps, attempts, error, traceId, videoId, summary: counts
+    })),
+    summary
+  };
+}
+
+// Test case results with data-driven ones replaced by their iterations, for per-execution views
+function flattenIterations(testCases) {
+  return (testCases || []).flatMap(tc => (tc.iterations?.length ? tc.iterations : [tc]));
+}
+
+module.exports = {
+  parseCsv,
+  parseDataset,
+  datasetError,
+  columnsOf,
+  iterationId,
+  expandIterations,
+  combineIterations,
+  flattenIterations
+};
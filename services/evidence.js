@@ -0,0 +1,77 @@
+// services/evidence.js - Playwright trace and video recording per test case
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// capture_trace / capture_video: true (always), 'on-failure', or false
+function evidenceMode(value) {
+  if (value === 'on-failure' || value === 'retain-on-failure') return 'on-failure';
+  return value ? 'on' : 'off';
+}
+
+function shouldKeep(mode, result) {
+  return mode === 'on' || (mode === 'on-failure' && result?.status === 'FAIL');
+}
+
+function createEvidenceDir() {
+  return fs.promises.mkdtemp(path.join(os.tmpdir(), 'qa-gpt-evidence-'));
+}
+
+function removeEvidenceDir(dir) {
+  return fs.promises.rm(dir, { recursive: true, force: true });
+}
+
+// Moves a recorded file into the artifact store and returns its artifact ID
+async function storeEvidenceFile(filePath, extension, saveArtifact) {
+  try {
+    const data = await fs.promises.readFile(filePath);
+    return await saveArtifact(data, { extension });
+  } finally {
+    await fs.promises.rm(filePath, { force: true });
+  }
+}
+
+async function startTrace(context, { chunk = false } = {}) {
+  if (chunk) {
+    await context.tracing.startChunk();
+  } else {
+    await context.tracing.start({ screenshots: true, snapshots: true });
+  }
+}
+
+// Stops the trace (or trace chunk) and stores it if the result calls for it
+async function stopTrace(context, { chunk = false, mode, result, dir, saveArtifact }) {
+  const stop = chunk ? options => context.tracing.stopChunk(options) : options => context.tracing.stop(options);
+
+  if (!shouldKeep(mode, result) || !saveArtifact) {
+    await stop();
+    return undefined;
+  }
+
+  const tracePath = path.join(dir, `${uuidv4()}.zip`);
+  await stop({ path: tracePath });
+  return storeEvidenceFile(tracePath, 'zip', saveArtifact);
+}
+
+// Call after the page's context is closed, once the video file is complete
+async function saveVideo(page, { mode, result, saveArtifact }) {
+  const video = page?.video();
+  if (!video) return undefined;
+
+  const videoPath = await video.path();
+  if (!shouldKeep(mode, result) || !saveArtifact) {
+    await fs.promises.rm(videoPath, { force: true });
+    return undefined;
+  }
+  return storeEvidenceFile(videoPath, 'webm', saveArtifact);
+}
+
+module.exports = {
+  evidenceMode,
+  createEvidenceDir,
+  removeEvidenceDir,
+  startTrace,
+  stopTrace,
+  saveVideo
+};
@@ -0,0 +1,55 @@
+// services/flaky.js - Ranks test cases by how often their outcome flips between runs
+const PASSING = ['PASS', 'WARN'];
+
+// A FLAKY result flipped within its own run (failed, then passed on retry)
+function outcome(status) {
+  if (PASSING.includes(status)) return 'pass';
+  if (status === 'FAIL') return 'fail';
+  if (status === 'FLAKY') return 'flaky';
+  return null; // SKIPPED / PENDING say nothing about flakiness
+}
+
+// runs: oldest first, each with testCases[{ id, title, status }]
+function rankFlakyTests(runs, { limit = 20 } = {}) {
+  const tests = new Map();
+
+  for (const run of runs) {
+    for (const tc of run.testCases || []) {
+      const result = outcome(tc.status);
+      if (!tc.id || !result) continue;
+
+      if (!tests.has(tc.id)) {
+        tests.set(tc.id, { testCaseId: tc.id, title: tc.title, runs: 0, passed: 0, failed: 0, flaky: 0, flips: 0, last: null });
+      }
+      const test = tests.get(tc.id);
+
+      test.runs += 1;
+      if (result === 'pass') test.passed += 1;
+      if (result === 'fail') test.failed += 1;
+      if (result === 'flaky') test.flaky += 1;
+
+      // Changing outcome since the previous run is a flip, and so is flaking within a run
+      // (a FLAKY result ended in a pass)
+      const final = result === 'flaky' ? 'pass' : result;
+      if (result === 'flaky') test.flips += 1;
+      if (test.last && test.last !== final) test.flips += 1;
+
+      test.last = final;
+      test.title = tc.title || test.title;
+      test.lastStatus = tc.status;
+      test.lastRunId = run.runId;
+      test.lastRunAt = run.createdAt;
+    }
+  }
+
+  return [...tests.values()]
+    .filter(test => test.flips > 0)
+    .map(({ last, ...test }) => ({
+      ...test,
+      flipRate: Number((test.flips / test.runs).toFixed(2))
+    }))
+    .sort((a, b) => b.flips - a.flips || b.flipRate - a.flipRate)
+    .slice(0, limit);
+}
+
+module.exports = { rankFlakyTests };
@@ -0,0 +1,95 @@
+// services/fragments.js - Reusable step fragments ("Run fragment login-as-admin") and suite hooks
+const { parseStep, substituteVariables } = require('./stepParser');
+
+// config.hooks step lists, in the order they run around the test cases
+const HOOKS = ['beforeAll', 'beforeEach', 'afterEach', 'afterAll'];
+
+const FRAGMENT_NAME = /^[\w.-]+$/;
+
+function isValidFragmentName(name) {
+  return typeof name === 'string' && FRAGMENT_NAME.test(name);
+}
+
+// config.hooks: { beforeAll, beforeEach, afterEach, afterAll }, each a list of steps
+function hookSteps(config) {
+  const hooks = config?.hooks || {};
+  return Object.fromEntries(HOOKS.map(name => [name, Array.isArray(hooks[name]) ? hooks[name] : []]));
+}
+
+function toStructured(step) {
+  return typeof step === 'string' ? parseStep(step) : step;
+}
+
+// Names of the fragments the steps run, directly, from a conditional or through other fragments
+function referencedFragments(steps, fragments = {}) {
+  const names = new Set();
+
+  const visit = (step) => {
+    const parsed = toStructured(step);
+    if (!parsed) return;
+    if (parsed.action === 'if' && parsed.then) visit(parsed.then);
+    if (parsed.action !== 'runFragment' || names.has(parsed.name)) return;
+
+    names.add(parsed.name);
+    (fragments[parsed.name]?.steps || []).forEach(visit);
+  };
+  steps.forEach(visit);
+
+  return [...names];
+}
+
+// Error message when a fragment definition ({ params, steps }) is not usable, or null
+function fragmentError(fragment) {
+  if (!fragment || typeof fragment !== 'object') return 'fragment must be an object with steps';
+  if (!Array.isArray(fragment.steps) || fragment.steps.length === 0) return 'fragment steps must be a non-empty array';
+  if (fragment.params !== undefined &&
+    (!Array.isArray(fragment.params) || fragment.params.some(param => typeof param !== 'string' || !param))) {
+    return 'fragment params must be an array of parameter names';
+  }
+  return null;
+}
+
+// A runFragment step with the fragment's steps attached for executeStep to run inline. Parameters
+// are substituted into the steps as {name}; fragments run by the fragment are expanded in turn.
+// Throws on unknown fragments, missing parameters and fragments that end up running themselves.
+function expandFragment(step, fragments = {}, stack = []) {
+  if (step.action === 'if' && step.then) {
+    const then = toStructured(step.then);
+    return then.action === 'runFragment' || then.action === 'if'
+      ? { ...step, then: expandFragment(then, fragments, stack) }
+      : step;
+  }
+  if (step.action !== 'runFragment') return step;
+
+  const fragment = fragments[step.name];
+  if (!fragment) throw new Error(`Unknown fragment "${step.name}"`);
+  if (stack.includes(step.name)) {
+    throw new Error(`Fragment "${step.name}" runs itself: ${[...stack, step.name].join(' -> ')}`);
+  }
+
+  const params = step.params || {};
+  const missing = (fragment.params || []).filter(name => params[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Fragment "${step.name}" needs parameter${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+  }
+
+  // Other {var} placeholders are left for the variables at the time each step runs
+  const steps = fragment.steps.map((inner) => {
+    const substituted = substituteVariables(inner, params);
+    const parsed = toStructured(substituted);
+    return parsed.action === 'runFragment' || parsed.action === 'if'
+      ? expandFragment(parsed, fragments, [...stack, step.name])
+      : substituted;
+  });
+
+  return { ...step, steps };
+}
+
+module.exports = {
+  HOOKS,
+  isValidFragmentName,
+  hookSteps,
+  referencedFragments,
+  fragmentError,
+  expandFragment
+};
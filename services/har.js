@@ -0,0 +1,118 @@
+// services/har.js - HAR 1.2 export of the network traffic stored on a test run
+const { version } = require('../package.json');
+const { flattenIterations } = require('./datasets');
+
+function toNameValue(obj) {
+  return Object.entries(obj || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    return [];
+  }
+}
+
+// Playwright timing offsets (ms from startTime, -1 when unknown) -> HAR timings
+function harTimings(timing = {}) {
+  const span = (start, end) => (start >= 0 && end >= 0 ? Math.max(0, end - start) : -1);
+  const firstKnown = [timing.domainLookupStart, timing.connectStart, timing.requestStart]
+    .find(t => t !== undefined && t >= 0);
+
+  return {
+    blocked: firstKnown !== undefined ? firstKnown : -1,
+    dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.secureConnectionStart, timing.connectEnd),
+    send: 0,
+    wait: span(timing.requestStart, timing.responseStart),
+    receive: span(timing.responseStart, timing.responseEnd)
+  };
+}
+
+function toEntry(log, pageref) {
+  const timings = harTimings(log.timing);
+  const total = Object.values(timings).filter(t => t > 0).reduce((sum, t) => sum + t, 0);
+  const requestHeaders = log.requestHeaders || {};
+
+  const request = {
+    method: log.method,
+    url: log.url,
+    httpVersion: '',
+    cookies: [],
+    headers: toNameValue(requestHeaders),
+    queryString: queryString(log.url),
+    headersSize: -1,
+    bodySize: log.requestBodySize ?? -1
+  };
+  if (log.requestBody !== undefined && log.requestBody !== null) {
+    request.postData = {
+      mimeType: requestHeaders['content-type'] || '',
+      text: log.requestBody
+    };
+  }
+
+  const content = {
+    size: log.responseBodySize ?? -1,
+    mimeType: log.mimeType || ''
+  };
+  if (log.responseBody !== undefined && log.responseBody !== null) {
+    content.text = log.responseBody;
+  }
+
+  const entry = {
+    pageref,
+    startedDateTime: new Date(log.timestamp).toISOString(),
+    time: log.timeMs ?? total,
+    request,
+    response: {
+      status: log.status || 0,
+      statusText: log.statusText || '',
+      httpVersion: '',
+      cookies: [],
+      headers: toNameValue(log.responseHeaders),
+      content,
+      redirectURL: (log.responseHeaders || {}).location || '',
+      headersSize: -1,
+      bodySize: log.responseBodySize ?? -1
+    },
+    cache: {},
+    timings
+  };
+  if (log.failure) entry._failure = log.failure;
+  return entry;
+}
+
+// One HAR page per test case (or dataset row); pass testCaseId to export a single one
+function buildHar(testRun, testCaseId) {
+  const testCases = flattenIterations(testRun.testCases).filter(tc => !testCaseId || tc.id === testCaseId);
+  const pages = [];
+  const entries = [];
+
+  testCases.forEach((tc, index) => {
+    const pageref = tc.id || `test-case-${index + 1}`;
+    const logs = tc.executedSteps.flatMap(step => step.networkLogs || []);
+
+    pages.push({
+      id: pageref,
+      title: tc.title || pageref,
+      startedDateTime: new Date(logs[0]?.timestamp || tc.executedSteps[0]?.timestamp || testRun.startedAt).toISOString(),
+      pageTimings: {}
+    });
+    logs.forEach(log => entries.push(toEntry(log, pageref)));
+  });
+
+  entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'QA-GPT Playwright Backend', version },
+      pages,
+      entries
+    }
+  };
+}
+
+module.exports = { buildHar };
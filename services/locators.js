@@ -0,0 +1,271 @@
+// services/locators.js - Self-healing resolution of click/type targets, with recorded selectors
+const Locator = require('../models/Locator');
+const { candidateSelectors } = require('./stepParser');
+
+const CLICK_ROLES = ['button', 'link', 'menuitem', 'tab', 'checkbox', 'radio'];
+const FILL_ROLES = ['textbox', 'searchbox', 'combobox', 'spinbutton'];
+
+// Typing used to fall back to the first visible input; it now only does so after fuzzy matching
+const ANY_INPUT = 'input:visible';
+
+const POLL_INTERVAL = 250;
+const FUZZY_AFTER = 1000;
+const FUZZY_THRESHOLD = 0.6;
+const MAX_MEMORY_ENTRIES = 5000;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Sign in" -> sign-in, sign_in, signin
+function testIds(text) {
+  const words = text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  return [...new Set([text, words.join('-'), words.join('_'), words.join('')])].filter(Boolean);
+}
+
+// Candidates in rank order: role, label, placeholder, test id, text, then the parser's CSS heuristics
+function rankedCandidates(action, text) {
+  const quoted = JSON.stringify(text);
+  const roles = action === 'fill' ? FILL_ROLES : CLICK_ROLES;
+
+  const candidates = roles.map(role => ({ strategy: 'role', selector: `role=${role}[name=${quoted}i]` }));
+  candidates.push({ strategy: 'label', selector: `label=${quoted}i` });
+  if (action === 'fill') candidates.push({ strategy: 'placeholder', selector: `placeholder=${quoted}i` });
+  testIds(text).forEach(id => candidates.push({ strategy: 'testid', selector: `testid=${JSON.stringify(id)}` }));
+  if (action !== 'fill') candidates.push({ strategy: 'text', selector: `text=${quoted}` });
+
+  candidateSelectors(action, text)
+    .filter(selector => selector !== ANY_INPUT)
+    .forEach(selector => candidates.push({ strategy: 'css', selector }));
+
+  const seen = new Set();
+  return candidates.filter(c => !seen.has(c.selector) && seen.add(c.selector));
+}
+
+// Recorded selectors use Playwright's getBy* notation; anything else is a regular selector
+function toLocator(page, selector) {
+  const exactName = (quoted) => new RegExp(`^${escapeRegex(JSON.parse(quoted))}$`, 'i');
+
+  const role = selector.match(/^role=(\w+)\[name=(".*")i\]$/);
+  if (role) return page.getByRole(role[1], { name: exactName(role[2]) });
+
+  const named = selector.match(/^(label|placeholder)=(".*")i$/);
+  if (named) {
+    return named[1] === 'label' ? page.getByLabel(exactName(named[2])) : page.getByPlaceholder(exactName(named[2]));
+  }
+
+  const testId = selector.match(/^testid=(".*")$/);
+  if (testId) return page.getByTestId(JSON.parse(testId[1]));
+
+  return page.locator(selector);
+}
+
+async function firstVisible(page, candidates) {
+  for (const candidate of candidates) {
+    const locator = toLocator(page, candidate.selector).first();
+    // Invalid selectors (e.g. a heuristic "#Sign in") simply do not match
+    if (await locator.isVisible().catch(() => false)) return { ...candidate, locator };
+  }
+  return null;
+}
+
+// Runs in the page: the visible element whose name best matches text, and a CSS path to it
+function findSimilarElement({ text, fill }) {
+  const normalize = value => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const bigrams = (value) => {
+    const compact = value.replace(/ /g, '');
+    return Array.from({ length: Math.max(0, compact.length - 1) }, (_, i) => compact.slice(i, i + 2));
+  };
+  // Dice coefficient over character bigrams
+  const similarity = (a, b) => {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const left = bigrams(a);
+    const right = bigrams(b);
+    if (left.length === 0 || right.length === 0) return 0;
+    const counts = new Map();
+    left.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+    let shared = 0;
+    right.forEach((gram) => {
+      if (counts.get(gram) > 0) {
+        shared++;
+        counts.set(gram, counts.get(gram) - 1);
+      }
+    });
+    return (2 * shared) / (left.length + right.length);
+  };
+
+  const unique = selector => document.querySelectorAll(selector).length === 1;
+  const cssPath = (element) => {
+    if (element.id && unique(`#${CSS.escape(element.id)}`)) return `#${CSS.escape(element.id)}`;
+    for (const attr of ['data-testid', 'name', 'aria-label']) {
+      const value = element.getAttribute(attr);
+      const selector = value && `${element.localName}[${attr}="${CSS.escape(value)}"]`;
+      if (selector && unique(selector)) return selector;
+    }
+    const parts = [];
+    for (let node = element; node && node.parentElement; node = node.parentElement) {
+      if (node !== element && node.id && unique(`#${CSS.escape(node.id)}`)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const siblings = [...node.parentElement.children].filter(child => child.localName === node.localName);
+      parts.unshift(`${node.localName}:nth-of-type(${siblings.indexOf(node) + 1})`);
+    }
+    return parts.join(' > ');
+  };
+
+  const selector = fill
+    ? 'input:not([type=hidden]):not([type=submit]):not([type=button]):not([type=checkbox]):not([type=radio]), textarea, select, [contenteditable="true"]'
+    : 'button, a, summary, label, [onclick], [role=button], [role=link], [role=menuitem], [role=tab], input[type=submit], input[type=button], input[type=checkbox], input[type=radio]';
+  const target = normalize(text);
+
+  let best = null;
+  for (const element of document.querySelectorAll(selector)) {
+    const rect = element.getBoundingClientRect();
+    if (!rect.width || !rect.height || getComputedStyle(element).visibility === 'hidden') continue;
+
+    const names = [
+      fill ? '' : element.innerText || element.value,
+      element.getAttribute('aria-label'),
+      element.getAttribute('placeholder'),
+      element.getAttribute('title'),
+      element.getAttribute('name'),
+      element.getAttribute('data-testid'),
+      element.id,
+      ...[...(element.labels || [])].map(label => label.innerText)
+    ];
+    const score = Math.max(...names.map(name => similarity(target, normalize(name))));
+    if (!best || score > best.score) best = { element, score };
+  }
+
+  return best ? { selector: cssPath(best.element), score: Math.round(best.score * 100) / 100 } : null;
+}
+
+async function fuzzyMatch(page, step) {
+  const match = await page.evaluate(findSimilarElement, { text: step.text, fill: step.action === 'fill' }).catch(() => null);
+  if (!match || match.score < FUZZY_THRESHOLD) return null;
+  return { strategy: 'fuzzy', selector: match.selector, score: match.score, locator: page.locator(match.selector).first() };
+}
+
+// Cache entries are per project, page (origin and path) and step
+function pageKey(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+// Remembers winning selectors in memory, and in MongoDB unless persist is false (SKIP_DB)
+class LocatorCache {
+  constructor({ persist = true } = {}) {
+    this.persist = persist;
+    this.entries = new Map();
+  }
+
+  static key({ projectId, pageUrl, action, text }) {
+    return JSON.stringify([projectId, pageUrl, action, text]);
+  }
+
+  async get(entry) {
+    const key = LocatorCache.key(entry);
+    if (this.entries.has(key)) return this.entries.get(key);
+    if (!this.persist) return null;
+
+    const doc = await Locator.findOne(entry).lean();
+    if (!doc) return null;
+    const value = { selector: doc.selector, strategy: doc.strategy };
+    this.remember(key, value);
+    return value;
+  }
+
+  // Most recently recorded selector for a step target on any page, as { pageUrl, selector, strategy }
+  async latest({ projectId, action, text }) {
+    let found = null;
+    for (const [key, value] of this.entries) {
+      const [entryProject, pageUrl, entryAction, entryText] = JSON.parse(key);
+      if (entryProject === projectId && entryAction === action && entryText === text) found = { pageUrl, ...value };
+    }
+    if (found || !this.persist) return found;
+
+    const doc = await Locator.findOne({ projectId, action, text }).sort({ updatedAt: -1 }).lean();
+    return doc ? { pageUrl: doc.pageUrl, selector: doc.selector, strategy: doc.strategy } : null;
+  }
+
+  async set(entry, { selector, strategy, healed }) {
+    this.remember(LocatorCache.key(entry), { selector, strategy });
+    if (!this.persist) return;
+
+    await Locator.updateOne(entry, {
+      $set: { selector, strategy, ...(healed ? { healedAt: new Date() } : {}) }
+    }, { upsert: true });
+  }
+
+  remember(key, value) {
+    // Oldest entries go first; the database keeps the rest
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > MAX_MEMORY_ENTRIES) this.entries.delete(this.entries.keys().next().value);
+  }
+}
+
+// Finds click/type targets for one run: the recorded selector first, then the ranked candidates,
+// then fuzzy re-matching. Using anything but the recorded selector, or a fuzzy match, is a heal.
+class LocatorResolver {
+  constructor({ cache = null, projectId = null } = {}) {
+    this.cache = cache;
+    this.projectId = projectId;
+  }
+
+  // Resolves to { locator, selector, strategy, score, healed, fromCache, key }, or null when nothing matched in time
+  async resolve(page, step, timeout) {
+    const key = { projectId: this.projectId, pageUrl: pageKey(page.url()), action: step.action, text: step.text };
+    const recorded = this.cache ? await this.cache.get(key).catch((error) => {
+      console.error('[LOCATOR] Cache lookup failed:', error.message);
+      return null;
+    }) : null;
+
+    const candidates = rankedCandidates(step.action, step.text);
+    if (recorded) candidates.unshift({ strategy: 'recorded', selector: recorded.selector });
+
+    const started = Date.now();
+    const fuzzyAfter = Math.min(FUZZY_AFTER, timeout / 2);
+
+    for (;;) {
+      let match = await firstVisible(page, candidates);
+      if (!match && Date.now() - started >= fuzzyAfter) {
+        match = await fuzzyMatch(page, step) ||
+          (step.action === 'fill' ? await firstVisible(page, [{ strategy: 'fallback', selector: ANY_INPUT }]) : null);
+      }
+
+      if (match) {
+        const fromCache = match.strategy === 'recorded';
+        const healed = match.strategy === 'fuzzy' || (recorded && !fromCache);
+        return {
+          ...match,
+          strategy: fromCache ? recorded.strategy : match.strategy,
+          fromCache,
+          key,
+          healed: healed ? { from: recorded?.selector || null, strategy: match.strategy, score: match.score } : null
+        };
+      }
+
+      if (Date.now() - started >= timeout) return null;
+      await page.waitForTimeout(POLL_INTERVAL);
+    }
+  }
+
+  // Call once the action succeeded, so only selectors that worked are recorded
+  async remember(resolution) {
+    if (!this.cache || !resolution.key || resolution.fromCache) return;
+    try {
+      await this.cache.set(resolution.key, resolution);
+    } catch (error) {
+      console.error('[LOCATOR] Failed to record selector:', error.message);
+    }
+  }
+}
+
+module.exports = { LocatorCache, LocatorResolver, rankedCandidates, toLocator };
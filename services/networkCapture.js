@@ -0,0 +1,184 @@
+// services/networkCapture.js - Per-test-case network and console recording
+const DEFAULT_MAX_BODY_SIZE = 64 * 1024;
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-auth-token'];
+const SENSITIVE_FIELD = /pass(word|wd)?|secret|token|api[-_]?key|authorization|credential|session/i;
+
+// Only textual bodies are worth keeping
+const TEXT_MIME = /json|text|xml|javascript|x-www-form-urlencoded|graphql/i;
+
+function redactHeaders(headers, extra = []) {
+  const sensitive = [...SENSITIVE_HEADERS, ...extra.map(h => h.toLowerCase())];
+  const result = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    result[name] = sensitive.includes(name.toLowerCase()) ? REDACTED : value;
+  }
+  return result;
+}
+
+function redactObject(value) {
+  if (Array.isArray(value)) return value.map(redactObject);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) =>
+      [key, SENSITIVE_FIELD.test(key) ? REDACTED : redactObject(val)]
+    ));
+  }
+  return value;
+}
+
+function redactParams(params) {
+  for (const key of [...params.keys()]) {
+    if (SENSITIVE_FIELD.test(key)) params.set(key, REDACTED);
+  }
+}
+
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    redactParams(parsed.searchParams);
+    return parsed.toString();
+  } catch (e) {
+    return url;
+  }
+}
+
+// JSON and form bodies get sensitive fields masked; other text is kept as is
+function redactBody(body, mimeType = '') {
+  if (!body) return body;
+
+  if (/json/i.test(mimeType)) {
+    try {
+      return JSON.stringify(redactObject(JSON.parse(body)));
+    } catch (e) { /* not actually JSON */ }
+  }
+
+  if (/x-www-form-urlencoded/i.test(mimeType)) {
+    const params = new URLSearchParams(body);
+    redactParams(params);
+    return params.toString();
+  }
+
+  return body;
+}
+
+function truncate(body, maxSize) {
+  if (body === null || body === undefined) return { body: undefined, truncated: false };
+  if (body.length <= maxSize) return { body, truncated: false };
+  return { body: body.slice(0, maxSize), truncated: true };
+}
+
+class NetworkRecorder {
+  constructor(page, options = {}) {
+    this.page = page;
+    this.captureNetwork = Boolean(options.network);
+    this.captureConsole = Boolean(options.console);
+    this.captureBodies = Boolean(options.bodies);
+    this.maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+    this.redactHeaders = options.redactHeaders || [];
+
+    this.entries = [];
+    this.consoleErrors = [];
+    this.pending = new Set();
+
+    this.onRequestFinished = request => this.track(this.record(request));
+    this.onRequestFailed = request => this.track(this.record(request, request.failure()?.errorText || 'failed'));
+    this.onConsole = message => {
+      if (message.type() !== 'error' && message.type() !== 'warning') return;
+      const location = message.location();
+      this.consoleErrors.push({
+        type: message.type(),
+        text: message.text(),
+        location: location?.url ? `${location.url}:${location.lineNumber}:${location.columnNumber}` : undefined,
+        timestamp: new Date().toISOString()
+      });
+    };
+    this.onPageError = error => {
+      this.consoleErrors.push({
+        type: 'pageerror',
+        text: error.message,
+        timestamp: new Date().toISOString()
+      });
+    };
+  }
+
+  attach() {
+    if (this.captureNetwork) {
+      this.page.on('requestfinished', this.onRequestFinished);
+      this.page.on('requestfailed', this.onRequestFailed);
+    }
+    if (this.captureConsole) {
+      this.page.on('console', this.onConsole);
+      this.page.on('pageerror', this.onPageError);
+    }
+    return this;
+  }
+
+  detach() {
+    this.page.off('requestfinished', this.onRequestFinished);
+    this.page.off('requestfailed', this.onRequestFailed);
+    this.page.off('console', this.onConsole);
+    this.page.off('pageerror', this.onPageError);
+  }
+
+  track(promise) {
+    this.pending.add(promise);
+    promise
+      .catch(err => console.error('[NETWORK] Failed to record request:', err.message))
+      .finally(() => this.pending.delete(promise));
+  }
+
+  async record(request, failure) {
+    const timing = request.timing();
+    const response = failure ? null : await request.response().catch(() => null);
+    const requestHeaders = await request.allHeaders().catch(() => request.headers());
+    const responseHeaders = response ? await response.allHeaders().catch(() => response.headers()) : {};
+    const mimeType = responseHeaders['content-type'] || '';
+
+    const entry = {
+      url: redactUrl(request.url()),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      status: response ? response.status() : 0,
+      statusText: response ? response.statusText() : '',
+      timestamp: new Date(timing.startTime > 0 ? timing.startTime : Date.now()).toISOString(),
+      timeMs: timing.responseEnd >= 0 ? Math.round(timing.responseEnd) : undefined,
+      timing,
+      requestHeaders: redactHeaders(requestHeaders, this.redactHeaders),
+      responseHeaders: redactHeaders(responseHeaders, this.redactHeaders),
+      mimeType,
+      failure
+    };
+
+    if (this.captureBodies) {
+      const requestBody = truncate(redactBody(request.postData(), requestHeaders['content-type']), this.maxBodySize);
+      entry.requestBody = requestBody.body;
+      entry.requestBodyTruncated = requestBody.truncated;
+
+      if (response && TEXT_MIME.test(mimeType)) {
+        const text = await response.text().catch(() => undefined);
+        const responseBody = truncate(redactBody(text, mimeType), this.maxBodySize);
+        entry.responseBody = responseBody.body;
+        entry.responseBodyTruncated = responseBody.truncated;
+      }
+    }
+
+    const sizes = await request.sizes().catch(() => null);
+    if (sizes) {
+      entry.requestBodySize = sizes.requestBodySize;
+      entry.responseBodySize = sizes.responseBodySize;
+    }
+
+    this.entries.push(entry);
+  }
+
+  // Everything recorded since the previous call, once in-flight records have settled
+  async drain() {
+    await Promise.allSettled([...this.pending]);
+    const network = this.entries.splice(0);
+    const consoleErrors = this.consoleErrors.splice(0);
+    return { network, consoleErrors };
+  }
+}
+
+module.exports = { NetworkRecorder, redactHeaders, redactBody, redactUrl, SENSITIVE_FIELD };
@@ -0,0 +1,277 @@
+// services/reports.js - JUnit XML, HTML and JSON reports rendered from a stored test run
+const { version } = require('../package.json');
+const { flattenIterations } = require('./datasets');
+
+const FAILED = ['FAIL'];
+const NOT_RUN = ['SKIPPED', 'PENDING'];
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+const escapeHtml = escapeXml;
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function testCaseDuration(tc) {
+  return (tc.executedSteps || []).reduce((sum, step) => sum + (step.durationMs || 0), 0);
+}
+
+function failedStep(tc) {
+  return (tc.executedSteps || []).find(step => step.status === 'FAIL');
+}
+
+function failureMessage(tc) {
+  return failedStep(tc)?.error || tc.error || 'Test case failed';
+}
+
+// "beforeEach hook (TC-1)": failed hooks are reported next to the test cases, not as them
+function hookName(hook) {
+  return `${hook.hook} hook${hook.testCaseId ? ` (${hook.testCaseId})` : ''}`;
+}
+
+function failedHooks(testRun) {
+  return (testRun.hookResults || []).filter(hook => FAILED.includes(hook.status));
+}
+
+function stepLine(step) {
+  const error = step.error ? ` - ${step.error}` : '';
+  return `[${step.status}] ${step.index + 1}. ${step.description}${error} (${step.durationMs || 0}ms)`;
+}
+
+// Normalized view shared by every format; data-driven test cases nest a result per dataset row
+function buildJsonReport(testRun) {
+  const { runId } = testRun;
+
+  const stepReport = step => ({
+    index: step.index,
+    description: step.description,
+    status: step.status,
+    durationMs: step.durationMs,
+    error: step.error,
+    errorType: step.errorType,
+    locator: step.locator,
+    healed: step.healed?.strategy ? step.healed : undefined,
+    visual: step.visual?.status ? step.visual : undefined,
+    a11y: step.a11y?.url ? step.a11y : undefined,
+    diffUrl: step.visual?.diffId ? `/api/runs/${runId}/artifacts/${step.visual.diffId}` : undefined,
+    expected: step.expected,
+    actual: step.actual,
+    screenshotUrl: step.screenshotId ? `/api/runs/${runId}/artifacts/${step.screenshotId}` : undefined
+  });
+
+  const testCaseReport = tc => ({
+    id: tc.id,
+    title: tc.title,
+    type: tc.type,
+    priority: tc.priority,
+    row: tc.row,
+    data: tc.data,
+    status: tc.status,
+    durationMs: testCaseDuration(tc),
+    error: tc.status === 'FAIL' ? failureMessage(tc) : tc.error,
+    attempts: tc.attempts?.length || 1,
+    summary: tc.summary,
+    steps: (tc.executedSteps || []).map(stepReport),
+    iterations: tc.iterations?.length ? tc.iterations.map(testCaseReport) : undefined
+  });
+
+  return {
+    runId,
+    projectId: testRun.projectId,
+    userId: testRun.userId,
+    url: testRun.url,
+    status: testRun.status,
+    startedAt: testRun.startedAt,
+    completedAt: testRun.completedAt,
+    error: testRun.error,
+    summary: testRun.summary,
+    testCases: testRun.testCases.map(testCaseReport),
+    hooks: (testRun.hookResults || []).map(hook => ({
+      hook: hook.hook,
+      testCaseId: hook.testCaseId,
+      status: hook.status,
+      durationMs: hook.durationMs,
+      error: hook.error,
+      steps: (hook.executedSteps || []).map(stepReport)
+    }))
+  };
+}
+
+// One <testcase> per test case (or dataset row); the failed step's error is the failure message.
+// Failed hooks get a <testcase> of their own with an <error>.
+function renderJunit(testRun) {
+  const suiteName = testRun.projectId || testRun.url;
+  const testCases = flattenIterations(testRun.testCases);
+  const hooks = failedHooks(testRun);
+  const failures = testCases.filter(tc => FAILED.includes(tc.status) && failedStep(tc)).length;
+  const errors = testCases.filter(tc => FAILED.includes(tc.status) && !failedStep(tc)).length + hooks.length;
+  const skipped = testCases.filter(tc => NOT_RUN.includes(tc.status)).length;
+  const time = seconds(testCases.reduce((sum, tc) => sum + testCaseDuration(tc), 0));
+  const timestamp = new Date(testRun.startedAt || testRun.createdAt || Date.now()).toISOString();
+
+  const counts = `tests="${testCases.length + hooks.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${time}"`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`QA-GPT run ${testRun.runId}`)}" ${counts}>`,
+    `  <testsuite name="${escapeXml(suiteName)}" ${counts} timestamp="${timestamp}">`,
+    '    <properties>',
+    `      <property name="runId" value="${escapeXml(testRun.runId)}"/>`,
+    `      <property name="url" value="${escapeXml(testRun.url)}"/>`,
+    '    </properties>'
+  ];
+
+  for (const tc of testCases) {
+    const name = tc.title ? `${tc.id}: ${tc.title}` : tc.id;
+    lines.push(`    <testcase name="${escapeXml(name)}" classname="${escapeXml(suiteName)}" time="${seconds(testCaseDuration(tc))}">`);
+
+    const step = failedStep(tc);
+    if (FAILED.includes(tc.status) && step) {
+      lines.push(`      <failure message="${escapeXml(failureMessage(tc))}" type="${escapeXml(step.errorType || 'ERROR')}">${escapeXml(stepLine(step))}</failure>`);
+    } else if (FAILED.includes(tc.status)) {
+      lines.push(`      <error message="${escapeXml(failureMessage(tc))}"/>`);
+    } else if (NOT_RUN.includes(tc.status)) {
+      lines.push(`      <skipped message="${escapeXml(tc.error || 'Not executed')}"/>`);
+    }
+
+    const output = (tc.executedSteps || []).map(stepLine);
+    if (tc.status === 'FLAKY') output.unshift(`FLAKY: passed on attempt ${tc.attempts?.length}`);
+    if (output.length) {
+      lines.push(`      <system-out>${escapeXml(output.join('\n'))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  }
+
+  for (const hook of hooks) {
+    lines.push(`    <testcase name="${escapeXml(hookName(hook))}" classname="${escapeXml(suiteName)}" time="${seconds(hook.durationMs)}">`);
+    lines.push(`      <error message="${escapeXml(hook.error || 'Hook failed')}" type="HOOK"/>`);
+    const output = (hook.executedSteps || []).map(stepLine);
+    if (output.length) {
+      lines.push(`      <system-out>${escapeXml(output.join('\n'))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>', '</testsuites>', '');
+  return lines.join('\n');
+}
+
+async function streamToDataUrl({ stream, contentType }) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return `data:${contentType};base64,${Buffer.concat(chunks).toString('base64')}`;
+}
+
+const STYLES = `
+  body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; color: #222; }
+  h1 { margin-bottom: 0.25rem; }
+  .meta { color: #666; margin-bottom: 1.5rem; }
+  .summary span { display: inline-block; margin-right: 1rem; }
+  .status { font-weight: bold; padding: 0 0.4rem; border-radius: 3px; color: #fff; }
+  .PASS { background: #2e7d32; } .FAIL { background: #c62828; } .WARN { background: #ef6c00; }
+  .FLAKY { background: #6a1b9a; } .SKIPPED, .PENDING { background: #757575; }
+  details { border: 1px solid #ddd; border-radius: 4px; margin: 0.75rem 0; padding: 0.5rem 0.75rem; }
+  summary { cursor: pointer; }
+  table { border-collapse: collapse; width: 100%; margin-top: 0.5rem; }
+  td, th { border-top: 1px solid #eee; padding: 0.35rem; text-align: left; vertical-align: top; }
+  .error { color: #c62828; white-space: pre-wrap; }
+  .healed { color: #ef6c00; }
+  img { max-width: 480px; border: 1px solid #ddd; }
+`;
+
+// Self-contained HTML: screenshots are inlined so the file can be archived by CI as is
+async function renderHtml(testRun, { readArtifact } = {}) {
+  const report = buildJsonReport(testRun);
+  const reported = flattenIterations(report.testCases);
+
+  const imageFor = async (inline, artifactId) => {
+    if (inline) return inline;
+    if (!artifactId || !readArtifact) return null;
+    try {
+      const artifact = await readArtifact(artifactId);
+      return artifact ? await streamToDataUrl(artifact) : null;
+    } catch (e) {
+      console.error('[REPORT] Could not embed image:', e.message);
+      return null;
+    }
+  };
+
+  const status = value => `<span class="status ${escapeHtml(value)}">${escapeHtml(value)}</span>`;
+  const sections = [];
+
+  for (const [i, tc] of flattenIterations(testRun.testCases).entries()) {
+    const rows = [];
+    for (const step of tc.executedSteps || []) {
+      const screenshot = await imageFor(step.screenshot, step.screenshotId);
+      const diff = await imageFor(null, step.visual?.diffId);
+      const details = [
+        step.error ? `<div class="error">${escapeHtml(step.error)}</div>` : '',
+        step.healed?.strategy ? `<div class="healed">Healed: ${escapeHtml(step.healed.from || 'no recorded selector')} &rarr; ${escapeHtml(step.locator)} (${escapeHtml(step.healed.strategy)})</div>` : '',
+        step.expected !== undefined ? `<div>Expected: ${escapeHtml(JSON.stringify(step.expected))}</div>` : '',
+        step.actual !== undefined ? `<div>Actual: ${escapeHtml(JSON.stringify(step.actual))}</div>` : '',
+        step.visual?.status ? `<div>Visual: ${escapeHtml(step.visual.status)}${step.visual.diffRatio !== undefined ? ` (${(step.visual.diffRatio * 100).toFixed(2)}% of pixels differ)` : ''}</div>` : '',
+        step.a11y?.url ? `<div>Accessibility: ${step.a11y.violations.length === 0 ? 'no violations' : `<ul>${step.a11y.violations.map(v =>
+          `<li><strong>${escapeHtml(v.impact)}</strong> ${escapeHtml(v.id)}: ${escapeHtml(v.help)} (${v.nodeCount} element${v.nodeCount === 1 ? '' : 's'})</li>`).join('')}</ul>`}</div>` : '',
+        screenshot ? `<img src="${escapeHtml(screenshot)}" alt="Step ${step.index + 1} screenshot">` : '',
+        diff ? `<img src="${escapeHtml(diff)}" alt="Step ${step.index + 1} visual diff">` : ''
+      ].join('');
+
+      rows.push(`<tr><td>${step.index + 1}</td><td>${escapeHtml(step.description)}</td>` +
+        `<td>${status(step.status)}</td><td>${step.durationMs || 0}ms</td><td>${details}</td></tr>`);
+    }
+
+    const normalized = reported[i];
+    sections.push(`<details${tc.status === 'FAIL' ? ' open' : ''}>
+<summary>${status(tc.status)} <strong>${escapeHtml(tc.id)}</strong> ${escapeHtml(tc.title)} (${normalized.durationMs}ms${normalized.attempts > 1 ? `, ${normalized.attempts} attempts` : ''})</summary>
+${normalized.error ? `<div class="error">${escapeHtml(normalized.error)}</div>` : ''}
+<table><tr><th>#</th><th>Step</th><th>Status</th><th>Duration</th><th>Details</th></tr>
+${rows.join('\n')}
+</table>
+</details>`);
+  }
+
+  // Setup and teardown, apart from the test cases; failed ones are expanded
+  const hookSections = report.hooks.map(hook => `<details${hook.status === 'FAIL' ? ' open' : ''}>
+<summary>${status(hook.status)} <strong>${escapeHtml(hookName(hook))}</strong> (${hook.durationMs || 0}ms)</summary>
+${hook.error ? `<div class="error">${escapeHtml(hook.error)}</div>` : ''}
+<table><tr><th>#</th><th>Step</th><th>Status</th><th>Duration</th><th>Details</th></tr>
+${hook.steps.map(step => `<tr><td>${step.index + 1}</td><td>${escapeHtml(step.description)}</td><td>${status(step.status)}</td>` +
+    `<td>${step.durationMs || 0}ms</td><td>${step.error ? `<div class="error">${escapeHtml(step.error)}</div>` : ''}</td></tr>`).join('\n')}
+</table>
+</details>`);
+
+  const summary = report.summary || {};
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Test run ${escapeHtml(report.runId)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Test run ${escapeHtml(report.runId)} ${status(report.status)}</h1>
+<div class="meta">${escapeHtml(report.url)} &middot; started ${escapeHtml(report.startedAt ? new Date(report.startedAt).toISOString() : '')} &middot; QA-GPT ${escapeHtml(version)}</div>
+<div class="summary">
+${['total', 'passed', 'failed', 'warnings', 'flaky', 'skipped', 'healed'].map(key => `<span>${key}: <strong>${summary[key] || 0}</strong></span>`).join('\n')}
+${summary.hooksFailed ? `<span>failed hooks: <strong>${summary.hooksFailed}</strong></span>` : ''}
+<span>duration: <strong>${summary.duration || 0}ms</strong></span>
+${summary.a11y ? `<div>accessibility violations: ${['critical', 'serious', 'moderate', 'minor'].map(impact => `${impact} <strong>${summary.a11y[impact] || 0}</strong>`).join(', ')}</div>` : ''}
+</div>
+${report.error ? `<div class="error">${escapeHtml(report.error)}</div>` : ''}
+${hookSections.length ? `<h2>Hooks</h2>\n${hookSections.join('\n')}\n<h2>Test cases</h2>` : ''}
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { buildJsonReport, renderJunit, renderHtml };
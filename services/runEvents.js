@@ -0,0 +1,48 @@
+// services/runEvents.js - Per-run event bus backing the live progress stream
+const EventEmitter = require('events');
+
+// How long a finished run's events stay available for late subscribers
+const HISTORY_TTL = 60000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// runId -> events published so far
+const history = new Map();
+
+function publish(runId, type, data = {}) {
+  let events = history.get(runId);
+  if (!events) {
+    events = [];
+    history.set(runId, events);
+  }
+
+  const event = {
+    id: events.length + 1,
+    type,
+    runId,
+    timestamp: new Date().toISOString(),
+    ...data
+  };
+  events.push(event);
+  emitter.emit(runId, event);
+
+  if (type === 'run:end') {
+    setTimeout(() => history.delete(runId), HISTORY_TTL).unref();
+  }
+
+  return event;
+}
+
+// Replays events newer than lastEventId, then follows the live stream.
+// Returns a function that removes the listener.
+function subscribe(runId, listener, lastEventId = 0) {
+  for (const event of history.get(runId) || []) {
+    if (event.id > lastEventId) listener(event);
+  }
+
+  emitter.on(runId, listener);
+  return () => emitter.off(runId, listener);
+}
+
+module.exports = { publish, subscribe };
@@ -0,0 +1,59 @@
+// services/runQueue.js - In-process worker queue for asynchronous test runs
+class RunQueue {
+  constructor({ concurrency = 1, worker }) {
+    this.concurrency = Math.max(1, parseInt(concurrency) || 1);
+    this.worker = worker;
+    this.pending = [];
+    this.active = new Map();
+  }
+
+  // Queue a test run document; returns false if it is already queued or running
+  enqueue(testRun) {
+    if (this.has(testRun.runId)) return false;
+
+    this.pending.push(testRun);
+    console.log(`[QUEUE] Enqueued run ${testRun.runId} (pending: ${this.pending.length}, active: ${this.active.size})`);
+    this.drain();
+    return true;
+  }
+
+  // Take a run that has not started yet out of the queue; returns it, or null
+  remove(runId) {
+    const index = this.pending.findIndex(r => r.runId === runId);
+    if (index === -1) return null;
+    return this.pending.splice(index, 1)[0];
+  }
+
+  has(runId) {
+    return this.active.has(runId) || this.pending.some(r => r.runId === runId);
+  }
+
+  isActive(runId) {
+    return this.active.has(runId);
+  }
+
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active.size,
+      pending: this.pending.length
+    };
+  }
+
+  drain() {
+    while (this.active.size < this.concurrency && this.pending.length > 0) {
+      const testRun = this.pending.shift();
+      const job = Promise.resolve()
+        .then(() => this.worker(testRun))
+        .catch(err => console.error(`[QUEUE] Run ${testRun.runId} failed:`, err))
+        .finally(() => {
+          this.active.delete(testRun.runId);
+          this.drain();
+        });
+
+      this.active.set(testRun.runId, job);
+    }
+  }
+}
+
+module.exports = RunQueue;
@@ -0,0 +1,100 @@
+// services/scheduler.js - In-process cron scheduler for saved schedules
+const { CronExpressionParser } = require('cron-parser');
+const Schedule = require('../models/Schedule');
+
+const TICK_INTERVAL = 30000;
+
+// A slot this far in the past was missed (server down), not just picked up late
+const MISSED_GRACE = 2 * 60 * 1000;
+
+// Next time the expression fires after `from`; throws on an invalid expression or timezone
+function nextRunAt(cron, timezone = 'UTC', from = new Date()) {
+  return CronExpressionParser.parse(cron, { currentDate: from, tz: timezone }).next().toDate();
+}
+
+function isValidCron(cron, timezone = 'UTC') {
+  try {
+    nextRunAt(cron, timezone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+class Scheduler {
+  // trigger(schedule) starts a run and resolves to its runId
+  constructor({ trigger, interval = TICK_INTERVAL }) {
+    this.trigger = trigger;
+    this.interval = interval;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Missed slots are handled by the first tick, right away
+  start() {
+    if (this.timer) return;
+    console.log(`[SCHEDULER] Started (checking every ${this.interval / 1000}s)`);
+    this.timer = setInterval(() => this.tick(), this.interval);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const now = new Date();
+      const due = await Schedule.find({ enabled: true, nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 });
+      for (const schedule of due) {
+        await this.fire(schedule, now);
+      }
+    } catch (error) {
+      console.error('[SCHEDULER] Tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async fire(schedule, now) {
+    const missed = now - schedule.nextRunAt > MISSED_GRACE;
+    let next;
+    try {
+      next = nextRunAt(schedule.cron, schedule.timezone, now);
+    } catch (error) {
+      await Schedule.updateOne({ _id: schedule._id }, { enabled: false, lastError: `Invalid schedule: ${error.message}` });
+      console.error(`[SCHEDULER] Disabled ${schedule.scheduleId}: ${error.message}`);
+      return;
+    }
+
+    // Claim the slot; another instance sharing the database may have taken it already
+    const claimed = await Schedule.findOneAndUpdate(
+      { _id: schedule._id, enabled: true, nextRunAt: schedule.nextRunAt },
+      { nextRunAt: next, ...(missed ? { lastMissedAt: schedule.nextRunAt } : {}) },
+      { new: true }
+    );
+    if (!claimed) return;
+
+    if (missed && schedule.missedRuns === 'skip') {
+      console.log(`[SCHEDULER] Skipping missed run of ${schedule.scheduleId} (due ${schedule.nextRunAt.toISOString()})`);
+      return;
+    }
+
+    try {
+      console.log(`[SCHEDULER] Triggering ${schedule.scheduleId} (${schedule.name})${missed ? ' for a missed slot' : ''}`);
+      const runId = await this.trigger(claimed);
+      if (runId) {
+        await Schedule.updateOne({ _id: schedule._id }, { lastRunAt: now, lastRunId: runId, lastError: null });
+      }
+    } catch (error) {
+      console.error(`[SCHEDULER] ${schedule.scheduleId} failed to start:`, error.message);
+      await Schedule.updateOne({ _id: schedule._id }, { lastRunAt: now, lastError: error.message });
+    }
+  }
+}
+
+module.exports = { Scheduler, nextRunAt, isValidCron };
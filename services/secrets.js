@@ -0,0 +1,170 @@
+// services/secrets.js - Project secrets vault and redaction of sensitive values
+const crypto = require('crypto');
+const Secret = require('../models/Secret');
+const { parseStep } = require('./stepParser');
+const { SENSITIVE_FIELD } = require('./networkCapture');
+
+const SECRET_REF = /\{\{\s*secret:([\w.-]+)\s*\}\}/g;
+const SECRET_NAME = /^[\w.-]+$/;
+const REDACTED = '[REDACTED]';
+
+// Shorter values would redact ordinary text all over the run
+const MIN_REDACT_LENGTH = 3;
+
+// Fill targets whose value is a credential even when typed in literally
+const SENSITIVE_TARGET = /pass(word|wd|code)?|secret|token|\bpin\b|otp|cvv|api[-_]?key/i;
+
+let ephemeralKey;
+
+// AES-256 key derived from SECRETS_KEY. Without it a per-process key is used, so secrets
+// and sealed runs do not survive a restart.
+function encryptionKey() {
+  if (process.env.SECRETS_KEY) {
+    return crypto.createHash('sha256').update(process.env.SECRETS_KEY).digest();
+  }
+  if (!ephemeralKey) {
+    console.warn('[SECRETS] SECRETS_KEY is not set: using a temporary key, encrypted data will not survive a restart');
+    ephemeralKey = crypto.randomBytes(32);
+  }
+  return ephemeralKey;
+}
+
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt({ iv, tag, data }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Whole values (e.g. a run's original config and steps) as a single encrypted string
+function seal(value) {
+  return JSON.stringify(encrypt(JSON.stringify(value)));
+}
+
+function unseal(sealed) {
+  return JSON.parse(decrypt(JSON.parse(sealed)));
+}
+
+// Applies fn to every string in a JSON-like value
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+  if (value && typeof value === 'object' && (value.constructor === Object || !value.constructor)) {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, mapStrings(val, fn)]));
+  }
+  return value;
+}
+
+// Names of the secrets referenced anywhere in value
+function secretRefs(value) {
+  const names = new Set();
+  mapStrings(value, str => {
+    for (const match of str.matchAll(SECRET_REF)) names.add(match[1]);
+    return str;
+  });
+  return [...names];
+}
+
+// Secrets of the project with the given names; without a database none exist
+async function findSecrets(projectId, names, projection) {
+  if (names.length === 0 || process.env.SKIP_DB === 'true') return [];
+  return Secret.find({ projectId, name: { $in: names } }, projection);
+}
+
+// Referenced secret names the project does not have, checked before a run is accepted
+async function missingSecrets(projectId, names) {
+  const found = new Set((await findSecrets(projectId, names, 'name')).map(doc => doc.name));
+  return names.filter(name => !found.has(name));
+}
+
+// Decrypted { NAME: value } for the given names; throws when one does not exist
+async function loadSecrets(projectId, names) {
+  if (names.length === 0) return {};
+
+  const docs = await findSecrets(projectId, names);
+  const secrets = Object.fromEntries(docs.map(doc => [doc.name, decrypt(doc)]));
+
+  const missing = names.filter(name => !(name in secrets));
+  if (missing.length > 0) {
+    throw new Error(`Unknown secret${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+  return secrets;
+}
+
+// Replaces {{secret:NAME}} references; only ever applied to what is executed, never to what is stored
+function resolveSecrets(value, secrets = {}) {
+  return mapStrings(value, str => str.replace(SECRET_REF, (ref, name) => (name in secrets ? secrets[name] : ref)));
+}
+
+// Credentials written in literally: sensitive config fields and values typed into password-like fields
+function sensitiveValues(config, testCases = []) {
+  const values = [];
+
+  const walk = (value, key = '') => {
+    if (typeof value === 'string') {
+      if (SENSITIVE_FIELD.test(key) && secretRefs(value).length === 0) values.push(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => walk(item, key));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([k, v]) => walk(v, k));
+    }
+  };
+  walk(config);
+  // Dataset columns such as "password" hold credentials too
+  testCases.forEach(tc => Array.isArray(tc.dataset) && walk(tc.dataset));
+
+  const visitStep = (step) => {
+    const parsed = typeof step === 'string' ? parseStep(step) : step;
+    if (!parsed) return;
+    if (parsed.action === 'if' && parsed.then) visitStep(parsed.then);
+
+    const target = `${parsed.selector || ''} ${parsed.text || ''}`;
+    if (parsed.action === 'fill' && typeof parsed.value === 'string' && SENSITIVE_TARGET.test(target) &&
+      secretRefs(parsed.value).length === 0) {
+      values.push(parsed.value);
+    }
+  };
+  testCases.forEach(tc => (tc.steps || []).forEach(visitStep));
+  // Hook and fragment steps are part of the config
+  [...Object.values(config?.hooks || {}), ...Object.values(config?.fragments || {}).map(fragment => fragment?.steps)]
+    .filter(Array.isArray)
+    .forEach(steps => steps.forEach(visitStep));
+
+  return values;
+}
+
+// Returns redact(value): a copy of value with every occurrence of the given values masked
+function createRedactor(values) {
+  const sensitive = [...new Set(values.filter(v => typeof v === 'string' && v.length >= MIN_REDACT_LENGTH))]
+    .sort((a, b) => b.length - a.length);
+
+  if (sensitive.length === 0) return value => value;
+  return value => mapStrings(value, str => sensitive.reduce((acc, secret) => acc.split(secret).join(REDACTED), str));
+}
+
+function isValidSecretName(name) {
+  return SECRET_NAME.test(name);
+}
+
+module.exports = {
+  encrypt,
+  seal,
+  unseal,
+  secretRefs,
+  missingSecrets,
+  loadSecrets,
+  resolveSecrets,
+  sensitiveValues,
+  createRedactor,
+  isValidSecretName
+};
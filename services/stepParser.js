@@ -0,0 +1,395 @@
+// services/stepParser.js - Compiles natural-language steps into structured steps
+const EXPLICIT_PREFIX = /^(css=|xpath=|text=)/;
+
+// Keys "Press <key>" sends to the page instead of looking for an element
+const KEY_NAMES = {
+  enter: 'Enter',
+  return: 'Enter',
+  tab: 'Tab',
+  escape: 'Escape',
+  esc: 'Escape',
+  space: 'Space',
+  backspace: 'Backspace',
+  delete: 'Delete',
+  arrowup: 'ArrowUp',
+  arrowdown: 'ArrowDown',
+  arrowleft: 'ArrowLeft',
+  arrowright: 'ArrowRight',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  home: 'Home',
+  end: 'End',
+  pageup: 'PageUp',
+  pagedown: 'PageDown'
+};
+
+function isExplicitSelector(value) {
+  return EXPLICIT_PREFIX.test(value);
+}
+
+// { selector } for explicit Playwright selectors, { text } for anything to be resolved
+function target(value) {
+  return isExplicitSelector(value) ? { selector: value } : { text: value };
+}
+
+function extractText(str, removeWords) {
+  let text = str;
+  removeWords.forEach(word => {
+    text = text.replace(new RegExp(`\\b${word}\\b`, 'gi'), '');
+  });
+  return text.trim().replace(/['"]/g, '');
+}
+
+function parseStep(stepDesc) {
+  const lower = stepDesc.toLowerCase();
+
+  // Helper: check for explicit selectors (css=, xpath=, text=)
+  const explicitMatch = stepDesc.match(/(?:css=|xpath=|text=).+/);
+  const explicitSelector = explicitMatch ? explicitMatch[0] : null;
+
+  // 0. STORE / VARIABLES
+  if (/^store\b/i.test(stepDesc)) {
+    // Store text from "selector" as "variable"
+    const match = stepDesc.match(/store\s+(?:text\s+from\s+)?["']?([^"']+)["']?\s+as\s+["']?([^"']+)["']?/i);
+    if (match) {
+      return { action: 'store', ...target(match[1]), as: match[2] };
+    }
+  }
+
+  // 0.5 CONDITIONALS
+  // "If "selector" exists click "other"" - very basic parser
+  if (/^if\b/i.test(stepDesc)) {
+    const condMatch = stepDesc.match(/if\s+["']?([^"']+)["']?\s+(exists|visible)\s+(?:then\s+)?(.+)/i);
+    if (condMatch) {
+      return {
+        action: 'if',
+        ...target(condMatch[1]),
+        state: condMatch[2].toLowerCase() === 'visible' ? 'visible' : 'attached',
+        then: parseStep(condMatch[3])
+      };
+    }
+  }
+
+  // 0.7 FRAGMENTS: "Run fragment `login-as-admin`", "Run fragment login with user=admin, password="x y""
+  const fragmentMatch = stepDesc.match(/^(?:run|use|include)\s+(?:the\s+)?fragment\s+[`"']?([\w.-]+)[`"']?(?:\s+with\s+(.+))?$/i);
+  if (fragmentMatch) {
+    return { action: 'runFragment', name: fragmentMatch[1], ...(fragmentMatch[2] ? { params: parseParams(fragmentMatch[2]) } : {}) };
+  }
+
+  // 1. WAITS (Enhanced)
+  if (/^wait\b/i.test(stepDesc)) {
+    if (lower.includes('network')) {
+      return { action: 'waitForLoadState', state: 'networkidle' };
+    }
+    // Wait for selector "..."
+    const selMatch = stepDesc.match(/wait\s+for\s+(?:element\s+|selector\s+)?["']?([^"']+)["']?$/i);
+    // Ensure it's not "Wait 5 seconds"
+    if (selMatch && !/\bseconds?\b/.test(lower)) {
+      return { action: 'waitFor', ...target(selMatch[1]) };
+    }
+  }
+
+  // 1.2 ACCESSIBILITY: "Check accessibility", "Audit accessibility of css=main"
+  const a11yMatch = stepDesc.match(/^(?:check|audit|verify|scan)\s+(?:the\s+)?(?:page\s+)?(?:accessibility|a11y)(?:\s+(?:of|in|on|for)\s+(?:the\s+)?(.+))?$/i);
+  if (a11yMatch) {
+    return { action: 'auditAccessibility', ...(a11yMatch[1] ? target(unquote(a11yMatch[1])) : {}) };
+  }
+
+  // 1.5 ASSERTIONS that mention words like "type" or "enter" in their selector
+  if (/^(verify|check|assert|expect)\b/i.test(stepDesc)) {
+    const assertion = parseAssertion(stepDesc);
+    if (assertion) {
+      return assertion;
+    }
+  }
+
+  // 2. CLICK / PRESS
+  if (/\b(click|press|tap)\b/.test(lower)) {
+    if (explicitSelector) {
+      return { action: 'click', selector: explicitSelector };
+    }
+
+    // "Press Enter" sends a key rather than clicking an element labelled "Enter"
+    const keyMatch = stepDesc.match(/^press\s+(?:the\s+)?["']?([\w ]+?)["']?(?:\s+key)?$/i);
+    const key = keyMatch && KEY_NAMES[keyMatch[1].replace(/\s+/g, '').toLowerCase()];
+    if (key) {
+      return { action: 'press', key };
+    }
+
+    // Legacy Extraction
+    const textTarget = extractText(stepDesc, ['click', 'press', 'tap', 'button', 'link', 'on', 'the', 'menu', 'icon']);
+    return { action: 'click', text: textTarget };
+  }
+
+  // 3. TYPE / FILL
+  if (/\b(type|enter|fill)\b/.test(lower)) {
+    if (explicitSelector) {
+      // If explicit selector is present, we need to split text vs selector
+      // E.g. Type "hello" into css=.input
+      const split = stepDesc.match(/(?:type|enter|fill)\s+"?([^""]+)"?\s+(?:in|into|to)\s+(.+)/i);
+      if (split && isExplicitSelector(split[2])) {
+        return { action: 'fill', selector: split[2], value: split[1] };
+      }
+    }
+
+    // ... Legacy Type Logic ...
+    const split = stepDesc.match(/(?:type|enter|fill)\s+"?([^"]+)"?\s+(?:in|into|to)\s+(?:the\s+)?(.+)/i);
+    let textToType = '';
+    let field = '';
+
+    if (split) {
+      textToType = split[1];
+      field = split[2];
+    } else {
+      const parts = stepDesc.split(/\s(?:in|into)\s/);
+      if (parts.length > 1) {
+        textToType = extractText(parts[0], ['type', 'enter', 'fill']);
+        field = parts[1];
+      } else {
+        textToType = extractText(stepDesc, ['type', 'enter', 'fill', 'input']);
+      }
+    }
+
+    return { action: 'fill', text: extractText(field, ['field', 'input', 'box', 'the']), value: textToType };
+  }
+
+  // 4. NAVIGATE
+  if (/\b(navigate|go to|visit|open)\b/.test(lower)) {
+    const urlMatch = stepDesc.match(/https?:\/\/[^\s]+/);
+    if (urlMatch) {
+      return { action: 'navigate', url: urlMatch[0] };
+    }
+  }
+
+  // 5. VERIFY / ASSERT
+  if (/\b(verify|check|assert|should see|expect)\b/.test(lower)) {
+    const assertion = parseAssertion(stepDesc);
+    if (assertion) {
+      return assertion;
+    }
+
+    if (explicitSelector) {
+      return { action: 'assertVisible', selector: explicitSelector };
+    }
+
+    const text = extractText(stepDesc, ['verify', 'check', 'assert', 'should see', 'expect', 'that', 'the', 'is', 'visible']);
+    return { action: 'assertVisible', text };
+  }
+
+  // 6. WAIT (Time)
+  if (/\bwait\b/.test(lower)) {
+    const seconds = parseInt(stepDesc.match(/\d+/)?.[0] || '2');
+    return { action: 'wait', seconds };
+  }
+
+  return { action: 'unknown', text: stepDesc };
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(["'])(.*)\1$/, '$2');
+}
+
+// "user=admin, password="a, b"" -> { user: 'admin', password: 'a, b' }
+function parseParams(text) {
+  const params = {};
+  for (const [, name, value] of text.matchAll(/(\w+)\s*=\s*("[^"]*"|'[^']*'|`[^`]*`|[^,]*)/g)) {
+    params[name] = value.trim().replace(/^(["'`])(.*)\1$/, '$2');
+  }
+  return params;
+}
+
+// Comparison keyword -> structured field
+function comparison(operator, expected) {
+  const op = operator.toLowerCase();
+  const field = op === 'contains' ? 'contains' : op === 'matches' ? 'matches' : 'equals';
+  return { [field]: unquote(expected) };
+}
+
+// Rich "Verify ..." forms; returns null when only the plain visibility check applies
+function parseAssertion(stepDesc) {
+  const body = stepDesc
+    .replace(/^\s*(?:verify|check|assert|expect)\s+(?:that\s+)?(?:the\s+)?/i, '')
+    .trim();
+  const OP = '(is|equals|contains|matches)';
+  let m;
+
+  if ((m = body.match(new RegExp(`^(?:page\\s+)?url\\s+${OP}\\s+(.+)$`, 'i')))) {
+    return { action: 'assertUrl', ...comparison(m[1], m[2]) };
+  }
+  if ((m = body.match(new RegExp(`^(?:page\\s+)?title\\s+${OP}\\s+(.+)$`, 'i')))) {
+    return { action: 'assertTitle', ...comparison(m[1], m[2]) };
+  }
+  if ((m = body.match(new RegExp(`^variable\\s+["'{]?(\\w+)["'}]?\\s+${OP}\\s+(.+)$`, 'i')))) {
+    return { action: 'assertVariable', name: m[1], ...comparison(m[2], m[3]) };
+  }
+  if ((m = body.match(new RegExp(`^(.+?)\\s+attribute\\s+["']?([\\w:-]+)["']?\\s+${OP}\\s+(.+)$`, 'i')))) {
+    return { action: 'assertAttribute', ...target(unquote(m[1])), name: m[2], ...comparison(m[3], m[4]) };
+  }
+  if ((m = body.match(new RegExp(`^(.+?)\\s+value\\s+${OP}\\s+(.+)$`, 'i')))) {
+    return { action: 'assertValue', ...target(unquote(m[1])), ...comparison(m[2], m[3]) };
+  }
+  if ((m = body.match(/^count\s+of\s+(.+?)\s+(?:is|equals)\s+(\d+)$/i)) ||
+    (m = body.match(/^(.+?)\s+count\s+(?:is\s+|equals\s+)?(\d+)$/i))) {
+    return { action: 'assertCount', ...target(unquote(m[1])), equals: parseInt(m[2]) };
+  }
+  if ((m = body.match(/^(.+?)\s+is\s+(hidden|not visible|disabled|enabled)$/i))) {
+    const state = m[2].toLowerCase();
+    const action = state === 'disabled' ? 'assertDisabled' : state === 'enabled' ? 'assertEnabled' : 'assertHidden';
+    return { action, ...target(unquote(m[1])) };
+  }
+  if ((m = body.match(new RegExp(`^(.+?)\\s+(?:text\\s+${OP}|has\\s+text|contains\\s+text)\\s+(.+)$`, 'i')))) {
+    return { action: 'assertText', ...target(unquote(m[1])), ...comparison(m[2] || 'contains', m[3]) };
+  }
+
+  return null;
+}
+
+// Selectors tried, in order, for a { text } target of the given action
+function candidateSelectors(action, text) {
+  if (action === 'click') {
+    return [
+      `text="${text}"`,
+      `[aria-label="${text}"]`,
+      `button:has-text("${text}")`,
+      `a:has-text("${text}")`,
+      `[role="button"]:has-text("${text}")`,
+      `input[type="submit"][value="${text}"]`,
+      `#${text}`,
+      `.${text}`
+    ];
+  }
+
+  if (action === 'fill' || action === 'assertValue') {
+    const inputs = [
+      `input[placeholder*="${text}" i]`,
+      `input[name*="${text}" i]`,
+      `textarea[placeholder*="${text}" i]`,
+      `input[aria-label*="${text}" i]`
+    ];
+    // Only typing falls back to the first visible input
+    return action === 'fill' ? [...inputs, 'input:visible'] : inputs;
+  }
+
+  if (action.startsWith('assert')) {
+    return [`text="${text}"`];
+  }
+
+  // Plain text first, then the raw value as a CSS selector
+  return [`text="${text}"`, text];
+}
+
+// Broad intent of each structured action, as reported by the dry run
+const INTENTS = {
+  store: 'store',
+  if: 'if',
+  waitFor: 'wait',
+  waitForLoadState: 'wait',
+  wait: 'wait',
+  click: 'click',
+  press: 'click',
+  fill: 'type',
+  navigate: 'navigate',
+  assertVisible: 'verify',
+  assertText: 'verify',
+  assertCount: 'verify',
+  assertHidden: 'verify',
+  assertDisabled: 'verify',
+  assertEnabled: 'verify',
+  assertValue: 'verify',
+  assertAttribute: 'verify',
+  assertUrl: 'verify',
+  assertTitle: 'verify',
+  assertVariable: 'verify',
+  auditAccessibility: 'verify',
+  runFragment: 'fragment',
+  unknown: 'unknown'
+};
+
+// Describes how a step (string or structured) will be interpreted, without running it.
+// candidatesFor(action, text) lists the selectors tried for a target described by text.
+function explainStep(input, candidatesFor = candidateSelectors) {
+  const parsed = typeof input === 'string' ? parseStep(input) : input;
+  const explanation = {
+    input,
+    action: parsed.action,
+    intent: INTENTS[parsed.action] || 'unknown',
+    target: parsed.selector || parsed.text || parsed.url || parsed.key || parsed.name || null,
+    candidates: [],
+    parsed
+  };
+
+  if (parsed.selector) {
+    explanation.candidates = [parsed.selector];
+  } else if (parsed.text !== undefined && parsed.action !== 'unknown') {
+    explanation.candidates = candidatesFor(parsed.action, parsed.text);
+  }
+
+  if (parsed.action === 'if') {
+    explanation.then = explainStep(parsed.then, candidatesFor);
+    explanation.parsed = { ...parsed, then: explanation.then.parsed };
+  }
+
+  if (parsed.action === 'unknown') {
+    explanation.unrecognized = true;
+    explanation.warning = 'Unrecognized step type: it would only wait 500ms and verify nothing';
+  } else if (explanation.then?.unrecognized) {
+    explanation.unrecognized = true;
+    explanation.warning = `Conditional action not recognized: ${explanation.then.warning}`;
+  }
+
+  return explanation;
+}
+
+// Human-readable description for steps given in structured form
+function describeStep(step) {
+  if (typeof step === 'string') return step;
+  if (step.description) return step.description;
+
+  const { action, ...args } = step;
+  return `${action} ${JSON.stringify(args)}`;
+}
+
+// Replace {var} placeholders in a string or in every string of a structured step
+function substituteVariables(value, variables) {
+  if (typeof value === 'string') {
+    let result = value;
+    for (const [key, val] of Object.entries(variables)) {
+      result = result.split(`{${key}}`).join(val);
+    }
+    return result;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substituteVariables(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, val]) => [key, substituteVariables(val, variables)])
+    );
+  }
+  return value;
+}
+
+// Substitutes variables, then compiles natural language into a structured step. An assertVariable
+// step names the variable it checks ("variable {title} equals ..."), so only its expected value
+// takes variables.
+function compileStep(step, variables) {
+  const original = typeof step === 'string' ? parseStep(step) : step;
+  if (original.action === 'assertVariable') {
+    return { ...substituteVariables(original, variables), name: original.name };
+  }
+
+  const substituted = substituteVariables(step, variables);
+  return typeof substituted === 'string' ? parseStep(substituted) : substituted;
+}
+
+module.exports = {
+  parseStep,
+  compileStep,
+  explainStep,
+  candidateSelectors,
+  describeStep,
+  substituteVariables,
+  isExplicitSelector
+};
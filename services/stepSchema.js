@@ -0,0 +1,190 @@
+// services/stepSchema.js - JSON schema for structured test steps
+const Ajv = require('ajv');
+const { IMPACTS } = require('./accessibility');
+const { datasetError } = require('./datasets');
+const { HOOKS, isValidFragmentName, fragmentError } = require('./fragments');
+
+// Element targets: an explicit Playwright selector, or text resolved through candidate selectors
+const targetProperties = {
+  selector: { type: 'string', minLength: 1 },
+  text: { type: 'string' }
+};
+const requireTarget = { anyOf: [{ required: ['selector'] }, { required: ['text'] }] };
+
+// Expected value of an assertion: exact, substring or regular expression ("/source/flags" or bare)
+const comparisonProperties = {
+  equals: { type: 'string' },
+  contains: { type: 'string' },
+  matches: { type: 'string', minLength: 1 }
+};
+const requireComparison = { anyOf: [{ required: ['equals'] }, { required: ['contains'] }, { required: ['matches'] }] };
+const timeoutProperty = { timeout: { type: 'number', minimum: 0 } };
+
+function action(name, properties = {}, extra = {}) {
+  const schema = {
+    type: 'object',
+    properties: {
+      action: { const: name },
+      description: { type: 'string' },
+      ...properties
+    },
+    required: ['action', ...(extra.required || [])],
+    additionalProperties: false
+  };
+  const conditions = [];
+  if (extra.target) conditions.push(requireTarget);
+  if (extra.comparison) conditions.push(requireComparison);
+  if (conditions.length === 1) Object.assign(schema, conditions[0]);
+  if (conditions.length > 1) schema.allOf = conditions;
+  return schema;
+}
+
+const stepSchema = {
+  $id: 'step',
+  type: 'object',
+  required: ['action'],
+  discriminator: { propertyName: 'action' },
+  oneOf: [
+    action('navigate', { url: { type: 'string', minLength: 1 } }, { required: ['url'] }),
+    action('click', targetProperties, { target: true }),
+    action('fill', { ...targetProperties, value: { type: 'string' } }, { required: ['value'], target: true }),
+    action('press', { ...targetProperties, key: { type: 'string', minLength: 1 } }, { required: ['key'] }),
+    action('waitFor', {
+      ...targetProperties,
+      state: { enum: ['visible', 'hidden', 'attached', 'detached'] },
+      timeout: { type: 'number', minimum: 0 }
+    }, { target: true }),
+    action('waitForLoadState', { state: { enum: ['load', 'domcontentloaded', 'networkidle'] } }),
+    action('wait', { seconds: { type: 'number', minimum: 0 } }, { required: ['seconds'] }),
+    action('store', { ...targetProperties, as: { type: 'string', minLength: 1 } }, { required: ['as'], target: true }),
+    action('if', {
+      ...targetProperties,
+      state: { enum: ['visible', 'attached'] },
+      then: { anyOf: [{ type: 'string' }, { $ref: 'step' }] }
+    }, { required: ['then'], target: true }),
+    action('assertVisible', targetProperties, { target: true }),
+    action('assertText', { ...targetProperties, ...comparisonProperties, ...timeoutProperty }, { target: true, comparison: true }),
+    action('assertCount', {
+      ...targetProperties,
+      equals: { type: 'integer', minimum: 0 },
+      min: { type: 'integer', minimum: 0 },
+      max: { type: 'integer', minimum: 0 },
+      ...timeoutProperty
+    }, { target: true }),
+    action('assertHidden', { ...targetProperties, ...timeoutProperty }, { target: true }),
+    action('assertDisabled', { ...targetProperties, ...timeoutProperty }, { target: true }),
+    action('assertEnabled', { ...targetProperties, ...timeoutProperty }, { target: true }),
+    action('assertValue', { ...targetProperties, ...comparisonProperties, ...timeoutProperty }, { target: true, comparison: true }),
+    action('assertAttribute', {
+      ...targetProperties,
+      name: { type: 'string', minLength: 1 },
+      ...comparisonProperties,
+      ...timeoutProperty
+    }, { required: ['name'], target: true, comparison: true }),
+    action('assertUrl', { ...comparisonProperties, ...timeoutProperty }, { comparison: true }),
+    action('assertTitle', { ...comparisonProperties, ...timeoutProperty }, { comparison: true }),
+    action('assertVariable', {
+      name: { type: 'string', minLength: 1 },
+      ...comparisonProperties
+    }, { required: ['name'], comparison: true }),
+    // Whole page without a target; failOn and tags override config.evidence.a11y
+    action('auditAccessibility', {
+      ...targetProperties,
+      failOn: { enum: ['none', ...IMPACTS] },
+      tags: { type: 'array', items: { type: 'string' } }
+    }),
+    // Steps of a named fragment, run inline with params substituted for their {name} placeholders
+    action('runFragment', {
+      name: { type: 'string', pattern: '^[\\w.-]+$' },
+      params: { type: 'object', additionalProperties: { anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] } }
+    }, { required: ['name'] })
+  ]
+};
+
+const ajv = new Ajv({ allErrors: true, discriminator: true });
+const validateStep = ajv.compile(stepSchema);
+
+// { stepIndex, message } for every structured step that does not match the schema
+function stepErrors(steps) {
+  const errors = [];
+  steps.forEach((step, stepIndex) => {
+    if (typeof step === 'string') return;
+
+    if (!validateStep(step)) {
+      validateStep.errors.forEach(err => {
+        errors.push({ stepIndex, message: `${err.instancePath || 'step'} ${err.message}` });
+      });
+    }
+  });
+  return errors;
+}
+
+// Checks every structured step (and dataset) of every test case; natural-language strings pass through.
+// Returns a list of { testCaseId, stepIndex, message } problems.
+function validateTestCases(testCases) {
+  const errors = [];
+
+  if (!Array.isArray(testCases)) {
+    return [{ message: 'testCases must be an array' }];
+  }
+
+  testCases.forEach((tc, tcIndex) => {
+    const testCaseId = tc?.id || `#${tcIndex + 1}`;
+    if (!Array.isArray(tc?.steps)) {
+      errors.push({ testCaseId, message: 'steps must be an array' });
+      return;
+    }
+
+    const datasetProblem = datasetError(tc.dataset);
+    if (datasetProblem) errors.push({ testCaseId, message: datasetProblem });
+
+    errors.push(...stepErrors(tc.steps).map(error => ({ testCaseId, ...error })));
+  });
+
+  return errors;
+}
+
+// Checks config.hooks and config.fragments. Returns a list of { hook | fragment, stepIndex, message } problems.
+function validateRunConfig(config) {
+  const errors = [];
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+  if (config?.hooks !== undefined && !isObject(config.hooks)) {
+    errors.push({ message: 'hooks must be an object of step lists' });
+  } else {
+    Object.entries(config?.hooks || {}).forEach(([hook, steps]) => {
+      if (!HOOKS.includes(hook)) {
+        errors.push({ hook, message: `unknown hook, expected one of ${HOOKS.join(', ')}` });
+      } else if (!Array.isArray(steps)) {
+        errors.push({ hook, message: 'steps must be an array' });
+      } else {
+        errors.push(...stepErrors(steps).map(error => ({ hook, ...error })));
+      }
+    });
+  }
+
+  if (config?.fragments !== undefined && !isObject(config.fragments)) {
+    errors.push({ message: 'fragments must be an object of named fragments' });
+  } else {
+    Object.entries(config?.fragments || {}).forEach(([fragment, definition]) => {
+      const problem = isValidFragmentName(fragment)
+        ? fragmentError(definition)
+        : 'fragment names may only contain letters, digits, _, . and -';
+      if (problem) {
+        errors.push({ fragment, message: problem });
+      } else {
+        errors.push(...stepErrors(definition.steps).map(error => ({ fragment, ...error })));
+      }
+    });
+  }
+
+  // Playwright reads a string storageState as a file path on the server
+  const storageState = config?.authentication?.storageState;
+  if (storageState !== undefined && !isObject(storageState)) {
+    errors.push({ message: 'authentication.storageState must be a storage state object ({ cookies, origins }), not a file path' });
+  }
+
+  return errors;
+}
+
+module.exports = { stepSchema, validateTestCases, validateRunConfig, stepErrors };
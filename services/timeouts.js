@@ -0,0 +1,64 @@
+// services/timeouts.js - config.timeouts and step/test case deadlines
+const { errors: playwrightErrors } = require('playwright');
+
+const DEFAULT_TIMEOUTS = {
+  navigation: 30000,
+  action: 5000,
+  assertion: 5000,
+  step: 60000,
+  testCase: 120000
+};
+
+// Thrown when a step or a whole test case runs out of time
+class TimeoutError extends Error {
+  constructor(scope, ms) {
+    super(`${scope === 'step' ? 'Step' : 'Test case'} timed out after ${ms}ms`);
+    this.name = 'TimeoutError';
+    this.scope = scope;
+    this.ms = ms;
+  }
+}
+
+function resolveTimeouts(config) {
+  const timeouts = { ...DEFAULT_TIMEOUTS };
+  for (const [key, value] of Object.entries(config?.timeouts || {})) {
+    const ms = parseInt(value);
+    if (key in timeouts && ms > 0) timeouts[key] = ms;
+  }
+  return timeouts;
+}
+
+// Races promise against a timer. On timeout, onTimeout() runs (e.g. closing the page) and the
+// original promise is awaited until it settles, so nothing keeps running in the background.
+async function withTimeout(promise, ms, createError, onTimeout) {
+  let timer;
+  let timedOut = false;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      reject(createError());
+    }, ms);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } catch (error) {
+    if (timedOut) {
+      await onTimeout();
+      await promise.catch(() => { });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Classification stored on failed steps
+function errorType(error) {
+  if (error instanceof TimeoutError) return error.scope === 'step' ? 'STEP_TIMEOUT' : 'TEST_TIMEOUT';
+  if (error instanceof playwrightErrors.TimeoutError) return 'ACTION_TIMEOUT';
+  if (error.name === 'AssertionError') return 'ASSERTION';
+  return 'ERROR';
+}
+
+module.exports = { DEFAULT_TIMEOUTS, TimeoutError, resolveTimeouts, withTimeout, errorType };
@@ -0,0 +1,122 @@
+// services/visual.js - Pixel comparison of step screenshots with approved baselines
+const pixelmatch = require('pixelmatch');
+const { PNG } = require('pngjs');
+const { flattenIterations } = require('./datasets');
+
+const DEFAULT_THRESHOLD = 0.01; // Share of pixels allowed to differ
+const DEFAULT_PIXEL_THRESHOLD = 0.1; // Per-pixel colour sensitivity, 0 (exact) to 1
+
+// Comparison outcomes waiting for a baseline approval
+const PENDING = ['DIFF', 'NEW'];
+
+// Area present in only one image (the page got longer or shorter): always counted as a difference
+const PADDING = [255, 0, 255, 255];
+
+// config.evidence.visual_compare: true, or { threshold, pixel_threshold, ignore_regions }.
+// Ignore regions are { selector } (masked when the screenshot is taken) or { x, y, width, height }.
+function visualOptions(value) {
+  if (!value) return null;
+  const options = value === true ? {} : value;
+  const regions = Array.isArray(options.ignore_regions) ? options.ignore_regions : [];
+  const ratio = (input, fallback) => {
+    const number = parseFloat(input);
+    return number >= 0 && number <= 1 ? number : fallback;
+  };
+
+  return {
+    threshold: ratio(options.threshold, DEFAULT_THRESHOLD),
+    pixelThreshold: ratio(options.pixel_threshold, DEFAULT_PIXEL_THRESHOLD),
+    selectors: regions.filter(r => typeof r?.selector === 'string').map(r => r.selector),
+    rects: regions.filter(r => r && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(r[key])))
+  };
+}
+
+// Copy of png at width x height, the extra area filled with PADDING
+function resize(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+  const out = new PNG({ width, height });
+  for (let i = 0; i < out.data.length; i += 4) out.data.set(PADDING, i);
+  PNG.bitblt(png, out, 0, 0, png.width, png.height, 0, 0);
+  return out;
+}
+
+function paintRects(png, rects) {
+  for (const rect of rects) {
+    const x0 = Math.max(0, Math.floor(rect.x));
+    const y0 = Math.max(0, Math.floor(rect.y));
+    const x1 = Math.min(png.width, Math.ceil(rect.x + rect.width));
+    const y1 = Math.min(png.height, Math.ceil(rect.y + rect.height));
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) png.data.set([0, 0, 0, 255], (y * png.width + x) * 4);
+    }
+  }
+}
+
+// Compares two PNG buffers; returns the diff image (PNG buffer) along with the counts
+function compareImages(actual, baseline, { pixelThreshold = DEFAULT_PIXEL_THRESHOLD, rects = [] } = {}) {
+  const actualPng = PNG.sync.read(actual);
+  const baselinePng = PNG.sync.read(baseline);
+  const width = Math.max(actualPng.width, baselinePng.width);
+  const height = Math.max(actualPng.height, baselinePng.height);
+
+  const left = resize(actualPng, width, height);
+  const right = resize(baselinePng, width, height);
+  paintRects(left, rects);
+  paintRects(right, rects);
+
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(left.data, right.data, diff.data, width, height, { threshold: pixelThreshold });
+
+  return {
+    diffPixels,
+    diffRatio: diffPixels / (width * height),
+    sizeChanged: actualPng.width !== baselinePng.width || actualPng.height !== baselinePng.height,
+    width: actualPng.width,
+    height: actualPng.height,
+    diff: PNG.sync.write(diff)
+  };
+}
+
+// Steps whose latest comparison (runs: newest first) is a difference or has no baseline, and which
+// have not been approved since
+function pendingChanges(runs, baselines) {
+  const approved = new Map(baselines.map(b => [`${b.testCaseId}#${b.stepIndex}`, b]));
+  const seen = new Set();
+  const pending = [];
+
+  for (const run of runs) {
+    for (const tc of flattenIterations(run.testCases)) {
+      for (const step of tc.executedSteps || []) {
+        const key = `${tc.id}#${step.index}`;
+        if (!step.visual?.status || seen.has(key)) continue;
+        seen.add(key);
+        if (!PENDING.includes(step.visual.status)) continue;
+
+        const baseline = approved.get(key);
+        if (baseline && (baseline.runId === run.runId || baseline.approvedAt >= run.startedAt)) continue;
+
+        pending.push({
+          runId: run.runId,
+          startedAt: run.startedAt,
+          testCaseId: tc.id,
+          title: tc.title,
+          stepIndex: step.index,
+          description: step.description,
+          ...step.visual,
+          screenshotUrl: step.screenshotId ? `/api/runs/${run.runId}/artifacts/${step.screenshotId}` : undefined,
+          diffUrl: step.visual.diffId ? `/api/runs/${run.runId}/artifacts/${step.visual.diffId}` : undefined,
+          baselineUrl: baseline ? `/api/baselines/${baseline.baselineId}/image` : undefined
+        });
+      }
+    }
+  }
+  return pending;
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+module.exports = { PENDING, visualOptions, compareImages, pendingChanges, streamToBuffer };
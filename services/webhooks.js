@@ -0,0 +1,220 @@
+// services/webhooks.js - Signed outbound notifications when runs finish
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Webhook = require('../models/Webhook');
+const TestRun = require('../models/TestRun');
+const secrets = require('./secrets');
+const { flattenIterations } = require('./datasets');
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY = 1000;
+const REQUEST_TIMEOUT = 10000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Signature over "<timestamp>.<body>", sent as X-QA-GPT-Signature: sha256=<hex>
+function sign(body, timestamp, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function passRate(summary = {}) {
+  return summary.total > 0 ? Math.round((summary.passed / summary.total) * 10000) / 100 : 0;
+}
+
+// Passed or failed, as compared between runs; a failed setup or teardown hook fails the run too
+function outcome(run) {
+  return run.status === 'FAILED' || run.summary?.failed > 0 || run.summary?.hooksFailed > 0 ? 'failed' : 'passed';
+}
+
+// The run before this one: same schedule, else same suite, else same project and URL
+async function previousRun(testRun) {
+  const filter = { projectId: testRun.projectId, runId: { $ne: testRun.runId }, status: { $in: ['COMPLETED', 'FAILED'] } };
+  if (testRun.schedule?.scheduleId) filter['schedule.scheduleId'] = testRun.schedule.scheduleId;
+  else if (testRun.suite?.suiteId) filter['suite.suiteId'] = testRun.suite.suiteId;
+  else filter.url = testRun.url;
+
+  return TestRun.findOne({ ...filter, createdAt: { $lt: testRun.createdAt || new Date() } })
+    .sort({ createdAt: -1 })
+    .select('runId status summary');
+}
+
+function buildPayload(testRun, previous) {
+  const publicUrl = process.env.PUBLIC_URL || '';
+  const failed = flattenIterations(testRun.testCases).filter(tc => tc.status === 'FAIL');
+
+  return {
+    event: testRun.status === 'FAILED' ? 'run.failed' : 'run.completed',
+    runId: testRun.runId,
+    projectId: testRun.projectId,
+    status: testRun.status,
+    outcome: outcome(testRun),
+    previousOutcome: previous ? outcome(previous) : null,
+    url: testRun.url,
+    suite: testRun.suite?.suiteId ? testRun.suite : undefined,
+    schedule: testRun.schedule?.scheduleId ? testRun.schedule : undefined,
+    summary: testRun.summary,
+    passRate: passRate(testRun.summary),
+    error: testRun.error,
+    failedTestCases: failed.map(tc => {
+      const step = (tc.executedSteps || []).find(s => s.status === 'FAIL');
+      return {
+        id: tc.id,
+        title: tc.title,
+        error: step?.error || tc.error,
+        failedStep: step ? { index: step.index, description: step.description } : undefined
+      };
+    }),
+    failedHooks: (testRun.hookResults || []).filter(hook => hook.status === 'FAIL').map(hook => ({
+      hook: hook.hook,
+      testCaseId: hook.testCaseId,
+      error: hook.error
+    })),
+    reportUrl: `${publicUrl}/api/runs/${testRun.runId}/report?format=html`,
+    completedAt: testRun.completedAt
+  };
+}
+
+function shouldNotify(webhook, payload) {
+  if (!webhook.events.includes(payload.status)) return false;
+
+  const { onFailure, onStatusChange, passRateBelow } = webhook.conditions || {};
+  const chosen = [];
+  if (onFailure) chosen.push(payload.outcome === 'failed');
+  if (onStatusChange) chosen.push(payload.previousOutcome !== null && payload.previousOutcome !== payload.outcome);
+  if (typeof passRateBelow === 'number') chosen.push(payload.passRate < passRateBelow);
+
+  return chosen.length === 0 || chosen.some(Boolean);
+}
+
+function headline(payload) {
+  const name = payload.suite?.name || payload.schedule?.name || payload.url;
+  const { passed = 0, total = 0 } = payload.summary || {};
+  const icon = payload.outcome === 'failed' ? '❌' : '✅';
+  return `${icon} ${name}: ${payload.outcome === 'failed' ? 'FAILED' : 'PASSED'} (${passed}/${total} passed, ${payload.passRate}%)`;
+}
+
+function failureLines(payload) {
+  const lines = payload.failedTestCases.slice(0, 10).map(tc => `• ${tc.id} ${tc.title || ''}: ${tc.error || 'failed'}`);
+  if (payload.failedTestCases.length > 10) lines.push(`…and ${payload.failedTestCases.length - 10} more`);
+  const hooks = payload.failedHooks || [];
+  lines.unshift(...hooks.slice(0, 5).map(hook => `• ${hook.hook} hook${hook.testCaseId ? ` (${hook.testCaseId})` : ''}: ${hook.error || 'failed'}`));
+  if (payload.error) lines.unshift(`Run error: ${payload.error}`);
+  return lines;
+}
+
+// Slack incoming webhook message
+function formatSlack(payload) {
+  const details = failureLines(payload).join('\n');
+  return {
+    text: headline(payload),
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${headline(payload)}*` } },
+      ...(details ? [{ type: 'section', text: { type: 'mrkdwn', text: details } }] : []),
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `Run ${payload.runId} · <${payload.reportUrl}|Report>` }] }
+    ]
+  };
+}
+
+// Microsoft Teams incoming webhook (MessageCard)
+function formatTeams(payload) {
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: headline(payload),
+    themeColor: payload.outcome === 'failed' ? 'C62828' : '2E7D32',
+    title: headline(payload),
+    sections: [{
+      facts: [
+        { name: 'Run', value: payload.runId },
+        { name: 'URL', value: payload.url },
+        { name: 'Status', value: payload.status }
+      ],
+      text: failureLines(payload).join('<br>')
+    }],
+    potentialAction: [{ '@type': 'OpenUri', name: 'Report', targets: [{ os: 'default', uri: payload.reportUrl }] }]
+  };
+}
+
+const FORMATTERS = {
+  json: payload => payload,
+  slack: formatSlack,
+  teams: formatTeams
+};
+
+// POSTs with retries and exponential backoff on network errors, 429 and 5xx
+async function deliver(webhook, payload, secret) {
+  const body = JSON.stringify(FORMATTERS[webhook.format || 'json'](payload));
+  const deliveryId = uuidv4();
+  let lastError;
+  let httpStatus;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'QA-GPT-Webhooks/1.0',
+          'X-QA-GPT-Event': payload.event,
+          'X-QA-GPT-Delivery': deliveryId,
+          'X-QA-GPT-Timestamp': timestamp,
+          ...(secret ? { 'X-QA-GPT-Signature': sign(body, timestamp, secret) } : {})
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+      httpStatus = response.status;
+
+      if (response.ok) {
+        return { status: 'DELIVERED', httpStatus, attempts: attempt };
+      }
+      lastError = `HTTP ${response.status}`;
+      // Other client errors will not get better by retrying
+      if (response.status < 500 && response.status !== 429) {
+        return { status: 'FAILED', httpStatus, attempts: attempt, error: lastError };
+      }
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      const delay = BASE_DELAY * 2 ** (attempt - 1);
+      console.log(`[WEBHOOK] ${webhook.webhookId} attempt ${attempt} failed (${lastError}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
+  return { status: 'FAILED', httpStatus, attempts: MAX_ATTEMPTS, error: lastError };
+}
+
+async function sendToWebhook(webhook, payload) {
+  const withSecret = await Webhook.findById(webhook._id).select('+secretSealed');
+  const secret = withSecret?.secretSealed ? secrets.unseal(withSecret.secretSealed) : null;
+
+  const result = await deliver(webhook, payload, secret);
+  await Webhook.updateOne({ _id: webhook._id }, { lastDelivery: { runId: payload.runId, ...result, at: new Date() } });
+
+  const log = result.status === 'DELIVERED' ? console.log : console.error;
+  log(`[WEBHOOK] ${webhook.webhookId} ${result.status.toLowerCase()} for run ${payload.runId}${result.error ? `: ${result.error}` : ''}`);
+  return result;
+}
+
+// Called once a run is COMPLETED or FAILED
+async function notifyRunFinished(testRun) {
+  const webhooks = await Webhook.find({ projectId: testRun.projectId, enabled: true });
+  if (webhooks.length === 0) return;
+
+  const payload = buildPayload(testRun, await previousRun(testRun));
+  const matching = webhooks.filter(webhook => shouldNotify(webhook, payload));
+
+  await Promise.allSettled(matching.map(webhook => sendToWebhook(webhook, payload).catch(error =>
+    console.error(`[WEBHOOK] ${webhook.webhookId} could not be sent:`, error.message)
+  )));
+}
+
+module.exports = { generateSecret, sign, buildPayload, sendToWebhook, notifyRunFinished };
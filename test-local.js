@@ -5,6 +5,7 @@ const path = require('path');
 
 const PORT = process.env.PORT || 3000;
 process.env.SKIP_DB = 'true'; // Force skip DB for local testing confidence
+process.env.AUTH_DISABLED = 'true'; // API keys live in the database
 
 // Wait for server to start
 setTimeout(async () => {
@@ -62,9 +63,15 @@ setTimeout(async () => {
                 fs.mkdirSync(screenshotsDir);
             }
 
-            data.results.forEach(result => {
-                result.executedSteps.forEach((step, index) => {
-                    if (step.screenshot) {
+            for (const result of data.results) {
+                for (const [index, step] of result.executedSteps.entries()) {
+                    if (step.screenshotId) {
+                        // Screenshots are stored as run artifacts
+                        const artifact = await fetch(`http://localhost:${PORT}/api/runs/${data.runId}/artifacts/${step.screenshotId}`);
+                        const filename = `${result.id}_step${index + 1}_${step.status}.jpg`;
+                        fs.writeFileSync(path.join(screenshotsDir, filename), Buffer.from(await artifact.arrayBuffer()));
+                        console.log(`Saved screenshot: ${filename}`);
+                    } else if (step.screenshot) {
                         let ext = 'png';
                         let data = step.screenshot;
 
@@ -81,8 +88,8 @@ setTimeout(async () => {
                         fs.writeFileSync(filePath, data, 'base64');
                         console.log(`Saved screenshot: ${filename}`);
                     }
-                });
-            });
+                }
+            }
         }
 
     } catch (error) {
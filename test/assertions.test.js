@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AssertionError, isAssertion, runAssertion } = require('../services/assertions');
+const { parseStep, compileStep } = require('../services/stepParser');
+
+// Page-level assertions only need the URL and title
+const page = { url: () => 'https://example.com/dashboard?tab=1', title: async () => 'Dashboard' };
+
+test('parses the verify vocabulary', () => {
+  assert.deepEqual(parseStep('Verify URL contains /dashboard'), { action: 'assertUrl', contains: '/dashboard' });
+  assert.deepEqual(parseStep('Verify title is Home'), { action: 'assertTitle', equals: 'Home' });
+  assert.deepEqual(parseStep('Verify count of css=.item is 3'), { action: 'assertCount', selector: 'css=.item', equals: 3 });
+  assert.deepEqual(parseStep('Verify variable pageTitle equals "Welcome"'), { action: 'assertVariable', name: 'pageTitle', equals: 'Welcome' });
+});
+
+test('recognizes assertion actions', () => {
+  assert.equal(isAssertion('assertUrl'), true);
+  assert.equal(isAssertion('click'), false);
+});
+
+test('passes when the URL and title match', async () => {
+  await runAssertion(page, { action: 'assertUrl', contains: '/dashboard', matches: '/tab=\\d/' }, {});
+  await runAssertion(page, { action: 'assertTitle', equals: 'Dashboard' }, {});
+});
+
+test('reports expected and actual values on failure', async () => {
+  await assert.rejects(
+    runAssertion(page, { action: 'assertTitle', equals: 'Home' }, {}, 0),
+    (error) => {
+      assert.ok(error instanceof AssertionError);
+      assert.equal(error.expected, 'equals "Home"');
+      assert.equal(error.actual, 'Dashboard');
+      return true;
+    }
+  );
+});
+
+test('checks stored variables without waiting', async () => {
+  await runAssertion(page, { action: 'assertVariable', name: 'total', equals: 3 }, { total: '3' });
+  await assert.rejects(
+    runAssertion(page, { action: 'assertVariable', name: 'missing', equals: 'x' }, {}),
+    /expected variable \{missing\} equals "x", but was null/
+  );
+});
+
+test('keeps the variable name of a variable assertion out of substitution', () => {
+  const variables = { title: 'Welcome', expected: 'Welcome' };
+  assert.deepEqual(compileStep('Verify variable {title} equals "{expected}"', variables), {
+    action: 'assertVariable',
+    name: 'title',
+    equals: 'Welcome'
+  });
+  assert.deepEqual(compileStep('Type "{expected}" into Name', variables), { action: 'fill', text: 'Name', value: 'Welcome' });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { hashKey, generateApiKey, hasRole, requireRole, principalProject, projectScope } = require('../services/auth');
+
+const JWT_SECRET = 'test-jwt-secret';
+const ADMIN_API_KEY = 'test-admin-key';
+
+function jwt(claims, secret = JWT_SECRET, alg = 'HS256') {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+// Runs the middleware against a fake request; resolves to { status, body } or { principal } when it passed
+function authenticate(role, headers = {}, { query = {}, queryToken = false } = {}) {
+  const req = { get: name => headers[name.toLowerCase()], query, body: {} };
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        return { json: body => resolve({ status: code, body }) };
+      }
+    };
+    requireRole(role, { queryToken })(req, res, () => resolve({ principal: req.principal }));
+  });
+}
+
+test.before(() => {
+  delete process.env.AUTH_DISABLED;
+  process.env.JWT_SECRET = JWT_SECRET;
+  process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+});
+
+test.after(() => {
+  delete process.env.JWT_SECRET;
+  delete process.env.ADMIN_API_KEY;
+});
+
+test('generates API keys that are stored only as a hash', () => {
+  const { keyId, key } = generateApiKey();
+  assert.match(key, new RegExp(`^qa_${keyId}_[\\w-]+$`));
+  assert.equal(hashKey(key), crypto.createHash('sha256').update(key).digest('hex'));
+  assert.notEqual(generateApiKey().key, key);
+});
+
+test('each role includes the ones before it', () => {
+  assert.equal(hasRole({ role: 'admin' }, 'execute'), true);
+  assert.equal(hasRole({ role: 'execute' }, 'read'), true);
+  assert.equal(hasRole({ role: 'read' }, 'execute'), false);
+});
+
+test('requires credentials', async () => {
+  assert.deepEqual(await authenticate('read'), { status: 401, body: { error: 'Authentication required' } });
+});
+
+test('accepts the admin key without a project', async () => {
+  const { principal } = await authenticate('admin', { 'x-api-key': ADMIN_API_KEY });
+  assert.deepEqual(principal, { type: 'admin', userId: 'admin', projectId: null, role: 'admin' });
+});
+
+test('accepts JWTs scoped to a project and enforces their role', async () => {
+  const token = jwt({ sub: 'alice', projectId: 'shop', role: 'execute' });
+  const { principal } = await authenticate('execute', { authorization: `Bearer ${token}` });
+  assert.deepEqual(principal, { type: 'jwt', userId: 'alice', projectId: 'shop', role: 'execute' });
+
+  assert.deepEqual(await authenticate('admin', { authorization: `Bearer ${token}` }), {
+    status: 403,
+    body: { error: 'This action requires the admin role' }
+  });
+});
+
+test('rejects forged, expired and unscoped JWTs', async () => {
+  const invalid = { status: 401, body: { error: 'Invalid or expired credentials' } };
+  const bearer = token => ({ authorization: `Bearer ${token}` });
+
+  assert.deepEqual(await authenticate('read', bearer(jwt({ projectId: 'shop' }, 'wrong-secret'))), invalid);
+  assert.deepEqual(await authenticate('read', bearer(jwt({ projectId: 'shop', exp: 1 }))), invalid);
+  assert.deepEqual(await authenticate('read', bearer(jwt({ sub: 'alice' }))), invalid);
+  assert.deepEqual(await authenticate('read', bearer(jwt({ projectId: 'shop', role: 'owner' }))), invalid);
+  assert.deepEqual(await authenticate('read', bearer(jwt({ projectId: 'shop' }, JWT_SECRET, 'none'))), invalid);
+});
+
+test('reads a query token only where allowed', async () => {
+  const query = { access_token: jwt({ projectId: 'shop' }) };
+  assert.equal((await authenticate('read', {}, { query })).status, 401);
+  assert.equal((await authenticate('read', {}, { query, queryToken: true })).principal.role, 'read');
+});
+
+test('scopes queries to the principal project', () => {
+  assert.equal(principalProject({ projectId: 'shop' }, 'other'), 'shop');
+  assert.equal(principalProject({ projectId: null }, 'other'), 'other');
+  assert.deepEqual(projectScope({ projectId: 'shop' }, 'other'), { projectId: 'shop' });
+  assert.deepEqual(projectScope({ projectId: null }), {});
+});
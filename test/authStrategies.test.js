@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAuthContextOptions } = require('../services/authStrategies');
+
+test('replays an inline storage state', () => {
+  const storageState = { cookies: [{ name: 'sid', value: 'x', domain: 'example.com', path: '/' }], origins: [] };
+  assert.deepEqual(getAuthContextOptions({ strategy: 'storageState', storageState }), { storageState });
+});
+
+test('refuses a storage state given as a path', () => {
+  assert.throws(
+    () => getAuthContextOptions({ strategy: 'storageState', storageState: '/etc/state.json' }),
+    /requires authentication.storageState as an object/
+  );
+});
+
+test('only the storageState strategy sets context options', () => {
+  assert.deepEqual(getAuthContextOptions({ strategy: 'bearer', token: 't' }), {});
+  assert.throws(() => getAuthContextOptions({ strategy: 'magic' }), /Unknown authentication strategy: magic/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const datasets = require('../services/datasets');
+
+test('parses quoted CSV fields with commas, quotes and line breaks', () => {
+  const csv = 'name,note\r\n"Smith, J","He said ""hi"""\n"a\nb",x\n';
+  assert.deepEqual(datasets.parseCsv(csv), [
+    { name: 'Smith, J', note: 'He said "hi"' },
+    { name: 'a\nb', note: 'x' }
+  ]);
+});
+
+test('fills missing CSV values and skips blank lines', () => {
+  assert.deepEqual(datasets.parseCsv('\uFEFFa,b\n1\n\n2,3'), [{ a: '1', b: '' }, { a: '2', b: '3' }]);
+});
+
+test('rejects malformed CSV', () => {
+  assert.throws(() => datasets.parseCsv('a,b\n"open,1'), /unterminated quoted field/);
+  assert.throws(() => datasets.parseCsv('a,a\n1,2'), /duplicate column names/);
+  assert.throws(() => datasets.parseCsv(''), /no header row/);
+});
+
+test('parses uploads given as JSON text', () => {
+  assert.deepEqual(datasets.parseDataset({ json: '[{"user":"a"}]' }), [{ user: 'a' }]);
+  assert.throws(() => datasets.parseDataset({ json: '{' }), /Invalid JSON/);
+  assert.throws(() => datasets.parseDataset({ rows: [{ nested: { a: 1 } }] }), /row 1 must be an object of plain values/);
+});
+
+test('expands one unit per dataset row', () => {
+  const units = datasets.expandIterations([
+    { id: 'A', title: 'Login', steps: ['Click A'], dataset: [{ user: '1' }, { user: '2' }] },
+    { id: 'B', steps: [] }
+  ]);
+
+  assert.deepEqual(units, [
+    { tc: { id: 'A[row 1]', title: 'Login', steps: ['Click A'], row: 1, data: { user: '1' } }, index: 0, row: 1 },
+    { tc: { id: 'A[row 2]', title: 'Login', steps: ['Click A'], row: 2, data: { user: '2' } }, index: 0, row: 2 },
+    { tc: { id: 'B', steps: [] }, index: 1 }
+  ]);
+});
+
+test('fails the parent test case when one row fails', () => {
+  const combined = datasets.combineIterations({ id: 'A' }, [
+    { id: 'A[row 1]', row: 1, status: 'PASS', summary: { passed: 1, total: 1 } },
+    { id: 'A[row 2]', row: 2, status: 'FAIL', summary: { failed: 1, total: 1 } }
+  ]);
+
+  assert.equal(combined.status, 'FAIL');
+  assert.equal(combined.error, '1 of 2 dataset rows failed');
+  assert.equal(combined.iterations.length, 2);
+  assert.deepEqual(combined.summary, { passed: 1, failed: 1, warnings: 0, skipped: 0, healed: 0, total: 2 });
+  assert.deepEqual(datasets.flattenIterations([combined, { id: 'B' }]).map(tc => tc.id), ['A[row 1]', 'A[row 2]', 'B']);
+});
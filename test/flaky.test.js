@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rankFlakyTests } = require('../services/flaky');
+
+test('ranks test cases by how often their outcome flips', () => {
+  const ranked = rankFlakyTests([
+    { runId: 'r1', testCases: [{ id: 'A', status: 'PASS' }, { id: 'B', status: 'PASS' }, { id: 'C', status: 'FLAKY' }] },
+    { runId: 'r2', testCases: [{ id: 'A', status: 'FAIL' }, { id: 'B', status: 'WARN' }, { id: 'C', status: 'SKIPPED' }] },
+    { runId: 'r3', testCases: [{ id: 'A', status: 'PASS' }] }
+  ]);
+
+  // B always passed; C's skipped run says nothing
+  assert.deepEqual(ranked.map(entry => [entry.testCaseId, entry.flips, entry.runs]), [['A', 2, 3], ['C', 1, 1]]);
+  assert.equal(ranked[0].flipRate, 0.67);
+  assert.equal(ranked[0].lastRunId, 'r3');
+});
+
+test('limits the ranking', () => {
+  const runs = [
+    { testCases: [{ id: 'A', status: 'PASS' }, { id: 'B', status: 'PASS' }] },
+    { testCases: [{ id: 'A', status: 'FAIL' }, { id: 'B', status: 'FAIL' }] }
+  ];
+  assert.equal(rankFlakyTests(runs, { limit: 1 }).length, 1);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { expandFragment, referencedFragments } = require('../services/fragments');
+
+const fragments = {
+  login: { params: ['user'], steps: ['Type "{user}" into Username', 'Run fragment submit'] },
+  submit: { steps: ['Click Sign in'] },
+  loop: { steps: ['Run fragment loop'] }
+};
+
+test('expands fragments with their parameters, including nested ones', () => {
+  const expanded = expandFragment({ action: 'runFragment', name: 'login', params: { user: 'bob' } }, fragments);
+  assert.deepEqual(expanded.steps, [
+    'Type "bob" into Username',
+    { action: 'runFragment', name: 'submit', steps: ['Click Sign in'] }
+  ]);
+});
+
+test('rejects unknown, recursive and under-parameterized fragments', () => {
+  assert.throws(() => expandFragment({ action: 'runFragment', name: 'nope' }, fragments), /Unknown fragment "nope"/);
+  assert.throws(() => expandFragment({ action: 'runFragment', name: 'loop' }, fragments), /runs itself: loop -> loop/);
+  assert.throws(() => expandFragment({ action: 'runFragment', name: 'login' }, fragments), /needs parameter user/);
+});
+
+test('lists fragments run directly and through other fragments', () => {
+  assert.deepEqual(referencedFragments(['Run fragment login', 'Click A'], fragments), ['login', 'submit']);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHar } = require('../services/har');
+const { redactHeaders, redactBody, redactUrl } = require('../services/networkCapture');
+
+const log = {
+  method: 'POST',
+  url: 'https://example.com/api/login?next=%2Fhome',
+  timestamp: '2026-01-15T10:00:00.000Z',
+  requestHeaders: { 'content-type': 'application/json' },
+  requestBody: '{"user":"bob"}',
+  requestBodySize: 14,
+  status: 200,
+  statusText: 'OK',
+  responseHeaders: { 'content-type': 'application/json' },
+  responseBody: '{"ok":true}',
+  responseBodySize: 11,
+  mimeType: 'application/json',
+  timing: { domainLookupStart: 1, domainLookupEnd: 3, connectStart: 3, connectEnd: 10, requestStart: 10, responseStart: 40, responseEnd: 45 }
+};
+
+const testRun = {
+  startedAt: new Date('2026-01-15T09:59:00Z'),
+  testCases: [
+    { id: 'TC-1', title: 'Login', executedSteps: [{ timestamp: '2026-01-15T10:00:00.000Z', networkLogs: [log] }] },
+    { id: 'TC-2', title: 'Empty', executedSteps: [] }
+  ]
+};
+
+test('exports one page per test case and one entry per request', () => {
+  const { log: har } = buildHar(testRun);
+  assert.equal(har.version, '1.2');
+  assert.deepEqual(har.pages.map(page => page.id), ['TC-1', 'TC-2']);
+  assert.equal(har.pages[1].startedDateTime, '2026-01-15T09:59:00.000Z');
+  assert.equal(har.entries.length, 1);
+
+  const [entry] = har.entries;
+  assert.equal(entry.pageref, 'TC-1');
+  assert.deepEqual(entry.request.queryString, [{ name: 'next', value: '/home' }]);
+  assert.deepEqual(entry.request.postData, { mimeType: 'application/json', text: '{"user":"bob"}' });
+  assert.equal(entry.response.content.text, '{"ok":true}');
+});
+
+test('converts Playwright timing offsets into HAR timings', () => {
+  const [entry] = buildHar(testRun).log.entries;
+  assert.deepEqual(entry.timings, { blocked: 1, dns: 2, connect: 7, ssl: -1, send: 0, wait: 30, receive: 5 });
+  assert.equal(entry.time, 45);
+});
+
+test('exports a single test case on request', () => {
+  assert.deepEqual(buildHar(testRun, 'TC-2').log.pages.map(page => page.id), ['TC-2']);
+});
+
+test('masks credentials in captured traffic', () => {
+  assert.deepEqual(redactHeaders({ Authorization: 'Bearer x', Accept: '*/*' }), { Authorization: '[REDACTED]', Accept: '*/*' });
+  assert.equal(redactBody('{"user":"bob","password":"pw"}', 'application/json'), '{"user":"bob","password":"[REDACTED]"}');
+  assert.equal(redactBody('user=bob&token=abc', 'application/x-www-form-urlencoded'), 'user=bob&token=%5BREDACTED%5D');
+  assert.equal(redactUrl('https://example.com/?api_key=abc&q=1'), 'https://example.com/?api_key=%5BREDACTED%5D&q=1');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { buildJsonReport, renderJunit, renderHtml } = require('../services/reports');
+
+const step = (index, status, extra = {}) => ({ index, description: `Step ${index + 1}`, status, durationMs: 100, ...extra });
+
+const testRun = {
+  runId: 'run-1',
+  projectId: 'shop',
+  url: 'https://example.com',
+  status: 'COMPLETED',
+  startedAt: new Date('2026-01-15T10:00:00Z'),
+  summary: { total: 4, passed: 1, failed: 2, skipped: 1, hooksFailed: 1, duration: 900 },
+  testCases: [
+    { id: 'TC-1', title: 'Login', status: 'PASS', executedSteps: [step(0, 'PASS', { screenshotId: 'shot.png' })] },
+    {
+      id: 'TC-2',
+      title: 'Checkout <fast>',
+      status: 'FAIL',
+      executedSteps: [step(0, 'PASS'), step(1, 'FAIL', { error: 'Expected "5" & got "4"', errorType: 'ASSERTION' })]
+    },
+    { id: 'TC-3', title: 'Setup', status: 'FAIL', error: 'Browser crashed', executedSteps: [] },
+    { id: 'TC-4', title: 'Later', status: 'SKIPPED', error: 'Cancelled', executedSteps: [] }
+  ],
+  hookResults: [{ hook: 'afterAll', status: 'FAIL', error: 'Logout failed', durationMs: 50, executedSteps: [] }]
+};
+
+test('builds the JSON report with failed step errors and artifact URLs', () => {
+  const report = buildJsonReport(testRun);
+  assert.equal(report.testCases[0].steps[0].screenshotUrl, '/api/runs/run-1/artifacts/shot.png');
+  assert.equal(report.testCases[1].error, 'Expected "5" & got "4"');
+  assert.equal(report.testCases[1].durationMs, 200);
+  assert.equal(report.testCases[2].error, 'Browser crashed');
+  assert.deepEqual(report.hooks.map(hook => [hook.hook, hook.status]), [['afterAll', 'FAIL']]);
+});
+
+test('renders JUnit failures, errors, skips and failed hooks', () => {
+  const xml = renderJunit(testRun);
+  assert.match(xml, /<testsuites name="QA-GPT run run-1" tests="5" failures="1" errors="2" skipped="1" time="0.300">/);
+  assert.match(xml, /<testcase name="TC-2: Checkout &lt;fast&gt;" classname="shop" time="0.200">/);
+  assert.match(xml, /<failure message="Expected &quot;5&quot; &amp; got &quot;4&quot;" type="ASSERTION">/);
+  assert.match(xml, /<error message="Browser crashed"\/>/);
+  assert.match(xml, /<skipped message="Cancelled"\/>/);
+  assert.match(xml, /<testcase name="afterAll hook" classname="shop" time="0.050">\n {6}<error message="Logout failed" type="HOOK"\/>/);
+});
+
+test('renders a self-contained HTML report with inlined screenshots', async () => {
+  const html = await renderHtml(testRun, {
+    readArtifact: async artifactId => (artifactId === 'shot.png'
+      ? { stream: Readable.from([Buffer.from('png')]), contentType: 'image/png' }
+      : null)
+  });
+
+  assert.match(html, /<img src="data:image\/png;base64,cG5n" alt="Step 1 screenshot">/);
+  assert.match(html, /Checkout &lt;fast&gt;/);
+  assert.match(html, /<h2>Hooks<\/h2>/);
+  assert.match(html, /failed hooks: <strong>1<\/strong>/);
+  assert.doesNotMatch(html, /<fast>/);
+});
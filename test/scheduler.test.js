@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { nextRunAt, isValidCron } = require('../services/scheduler');
+
+test('computes the next run after a given time', () => {
+  assert.equal(nextRunAt('*/15 * * * *', 'UTC', new Date('2026-01-15T10:07:00Z')).toISOString(), '2026-01-15T10:15:00.000Z');
+});
+
+test('computes the next run in the schedule timezone', () => {
+  // 09:00 in Paris is 08:00 UTC in winter; today's has already passed
+  assert.equal(nextRunAt('0 9 * * *', 'Europe/Paris', new Date('2026-01-15T10:00:00Z')).toISOString(), '2026-01-16T08:00:00.000Z');
+});
+
+test('validates cron expressions and timezones', () => {
+  assert.equal(isValidCron('0 9 * * 1-5'), true);
+  assert.equal(isValidCron('not a cron'), false);
+  assert.equal(isValidCron('0 9 * * *', 'Mars/Olympus'), false);
+});
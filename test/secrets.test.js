@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const secrets = require('../services/secrets');
+
+test.before(() => {
+  process.env.SECRETS_KEY = 'test-secrets-key';
+});
+
+test.after(() => {
+  delete process.env.SECRETS_KEY;
+});
+
+test('seals values with authenticated encryption', () => {
+  const definition = { config: { authentication: { password: 'hunter22' } }, testCases: [] };
+  const sealed = secrets.seal(definition);
+  assert.doesNotMatch(sealed, /hunter22/);
+  assert.deepEqual(secrets.unseal(sealed), definition);
+
+  const tampered = JSON.parse(sealed);
+  tampered.tag = Buffer.alloc(16).toString('base64');
+  assert.throws(() => secrets.unseal(JSON.stringify(tampered)));
+});
+
+test('cannot unseal with another key', () => {
+  const sealed = secrets.seal({ a: 1 });
+  process.env.SECRETS_KEY = 'another-key';
+  try {
+    assert.throws(() => secrets.unseal(sealed));
+  } finally {
+    process.env.SECRETS_KEY = 'test-secrets-key';
+  }
+});
+
+test('encrypts each value with a fresh IV', () => {
+  const first = secrets.encrypt('value');
+  const second = secrets.encrypt('value');
+  assert.notEqual(first.iv, second.iv);
+  assert.notEqual(first.data, second.data);
+});
+
+test('finds and resolves secret references', () => {
+  const steps = ['Type "{{secret:PW}}" into Password', { action: 'fill', text: 'Token', value: '{{ secret:API.TOKEN }}' }];
+  assert.deepEqual(secrets.secretRefs({ steps }), ['PW', 'API.TOKEN']);
+  assert.deepEqual(secrets.resolveSecrets(steps, { PW: 'pw-value' }), [
+    'Type "pw-value" into Password',
+    { action: 'fill', text: 'Token', value: '{{ secret:API.TOKEN }}' }
+  ]);
+});
+
+test('collects credentials written in literally', () => {
+  const config = { authentication: { username: 'bob', password: 'hunter22', token: '{{secret:TOKEN}}' } };
+  const testCases = [{
+    steps: ['Type "s3cret!" into Password', 'Type "bob" into Username', 'Type "{{secret:PW}}" into Password'],
+    dataset: [{ user: 'amy', password: 'row-pass' }]
+  }];
+  assert.deepEqual(secrets.sensitiveValues(config, testCases).sort(), ['hunter22', 'row-pass', 's3cret!']);
+});
+
+test('redacts every occurrence, longest values first', () => {
+  const redact = secrets.createRedactor(['pass', 'password1', 'ab']);
+  assert.deepEqual(
+    redact({ log: 'typed password1 then pass', steps: ['ab stays', 'pass'] }),
+    { log: 'typed [REDACTED] then [REDACTED]', steps: ['ab stays', '[REDACTED]'] }
+  );
+});
+
+test('validates secret names', () => {
+  assert.equal(secrets.isValidSecretName('API.TOKEN-1'), true);
+  assert.equal(secrets.isValidSecretName('bad name'), false);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStep, explainStep, substituteVariables } = require('../services/stepParser');
+const { rankedCandidates } = require('../services/locators');
+
+test('parses natural language steps into structured steps', () => {
+  assert.deepEqual(parseStep('Click Sign in'), { action: 'click', text: 'Sign in' });
+  assert.deepEqual(parseStep('Click "Sign in"'), { action: 'click', text: 'Sign in' });
+  assert.deepEqual(parseStep('Type "bob" into Username'), { action: 'fill', text: 'Username', value: 'bob' });
+  assert.deepEqual(parseStep('Navigate to https://example.com'), { action: 'navigate', url: 'https://example.com' });
+  assert.deepEqual(parseStep('Verify "Welcome" is visible'), { action: 'assertVisible', text: 'Welcome' });
+  assert.deepEqual(parseStep('Wait for 2 seconds'), { action: 'wait', seconds: 2 });
+  assert.deepEqual(parseStep('Press Enter'), { action: 'press', key: 'Enter' });
+});
+
+test('keeps explicit selectors as they are', () => {
+  assert.deepEqual(parseStep('Click css=#submit'), { action: 'click', selector: 'css=#submit' });
+});
+
+test('parses fragment calls with parameters', () => {
+  assert.deepEqual(parseStep('Run fragment login with user=admin, pass=x'), {
+    action: 'runFragment',
+    name: 'login',
+    params: { user: 'admin', pass: 'x' }
+  });
+});
+
+test('flags steps it does not recognize', () => {
+  const explanation = explainStep('Do a barrel roll');
+  assert.equal(explanation.action, 'unknown');
+  assert.equal(explanation.unrecognized, true);
+  assert.match(explanation.warning, /Unrecognized step type/);
+});
+
+test('explains click targets with the candidates it is given', () => {
+  const ranked = (action, text) => rankedCandidates(action, text).map(candidate => candidate.selector);
+  const explanation = explainStep('Click Sign in', ranked);
+  assert.equal(explanation.candidates[0], 'role=button[name="Sign in"i]');
+  assert.deepEqual(explanation.candidates, ranked('click', 'Sign in'));
+  assert.deepEqual(explainStep('Click css=#submit', ranked).candidates, ['css=#submit']);
+});
+
+test('substitutes variables in text and structured steps', () => {
+  assert.equal(substituteVariables('Type "{user}" into Username', { user: 'bob' }), 'Type "bob" into Username');
+  assert.deepEqual(
+    substituteVariables({ action: 'fill', text: 'Email', value: '{email}' }, { email: 'a@b.c' }),
+    { action: 'fill', text: 'Email', value: 'a@b.c' }
+  );
+  assert.equal(substituteVariables('Hello {missing}', {}), 'Hello {missing}');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTestCases, validateRunConfig } = require('../services/stepSchema');
+
+test('accepts natural language and structured steps', () => {
+  assert.deepEqual(validateTestCases([{ id: 'TC-1', steps: ['Click A', { action: 'click', text: 'B' }] }]), []);
+});
+
+test('rejects structured steps with an unknown action or a missing target', () => {
+  const unknown = validateTestCases([{ id: 'TC-1', steps: [{ action: 'fly' }] }]);
+  assert.equal(unknown.length, 1);
+  assert.equal(unknown[0].testCaseId, 'TC-1');
+  assert.equal(unknown[0].stepIndex, 0);
+
+  const untargeted = validateTestCases([{ id: 'TC-1', steps: ['Click A', { action: 'click' }] }]);
+  assert.ok(untargeted.length > 0);
+  assert.ok(untargeted.every(error => error.stepIndex === 1));
+});
+
+test('rejects steps that are not an array', () => {
+  assert.deepEqual(validateTestCases([{ id: 'TC-1', steps: 'Click A' }]), [
+    { testCaseId: 'TC-1', message: 'steps must be an array' }
+  ]);
+});
+
+test('rejects empty datasets', () => {
+  assert.deepEqual(validateTestCases([{ id: 'TC-1', steps: ['Click A'], dataset: [] }]), [
+    { testCaseId: 'TC-1', message: 'dataset must be a non-empty array of rows' }
+  ]);
+});
+
+test('rejects unknown hooks and unusable fragments', () => {
+  const errors = validateRunConfig({
+    hooks: { beforeAll: ['Click A'], during: [] },
+    fragments: { 'bad name': { steps: ['Click A'] }, empty: { steps: [] } }
+  });
+  assert.deepEqual(errors.map(error => error.hook || error.fragment), ['during', 'bad name', 'empty']);
+});
+
+test('accepts storageState only as an inline object', () => {
+  assert.deepEqual(validateRunConfig({ authentication: { storageState: { cookies: [], origins: [] } } }), []);
+
+  const errors = validateRunConfig({ authentication: { storageState: '/etc/state.json' } });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /not a file path/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { errors: playwrightErrors } = require('playwright');
+const { DEFAULT_TIMEOUTS, TimeoutError, resolveTimeouts, withTimeout, errorType } = require('../services/timeouts');
+
+test('overrides default timeouts with valid config values only', () => {
+  assert.deepEqual(resolveTimeouts(undefined), DEFAULT_TIMEOUTS);
+  assert.deepEqual(
+    resolveTimeouts({ timeouts: { action: '2000', step: 0, navigation: -5, unknown: 10 } }),
+    { ...DEFAULT_TIMEOUTS, action: 2000 }
+  );
+});
+
+test('resolves with the result when the promise settles in time', async () => {
+  const result = await withTimeout(Promise.resolve('done'), 100, () => new TimeoutError('step', 100), () => {});
+  assert.equal(result, 'done');
+});
+
+test('cleans up and waits for the losing promise on timeout', async () => {
+  const events = [];
+  let finish;
+  const slow = new Promise((resolve) => { finish = resolve; }).then(() => events.push('settled'));
+
+  await assert.rejects(
+    withTimeout(slow, 10, () => new TimeoutError('step', 10), async () => {
+      events.push('cleanup');
+      finish();
+    }),
+    { name: 'TimeoutError', scope: 'step', message: 'Step timed out after 10ms' }
+  );
+  assert.deepEqual(events, ['cleanup', 'settled']);
+});
+
+test('passes on errors that are not timeouts', async () => {
+  let cleanedUp = false;
+  await assert.rejects(
+    withTimeout(Promise.reject(new Error('boom')), 100, () => new TimeoutError('step', 100), () => { cleanedUp = true; }),
+    /boom/
+  );
+  assert.equal(cleanedUp, false);
+});
+
+test('classifies step failures', () => {
+  assert.equal(errorType(new TimeoutError('step', 1)), 'STEP_TIMEOUT');
+  assert.equal(errorType(new TimeoutError('testCase', 1)), 'TEST_TIMEOUT');
+  assert.equal(errorType(new playwrightErrors.TimeoutError('waiting for locator')), 'ACTION_TIMEOUT');
+  assert.equal(errorType(Object.assign(new Error('x'), { name: 'AssertionError' })), 'ASSERTION');
+  assert.equal(errorType(new Error('x')), 'ERROR');
+});
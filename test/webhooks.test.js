@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { sign, generateSecret } = require('../services/webhooks');
+
+test('signs the timestamp and body with HMAC-SHA256', () => {
+  const body = JSON.stringify({ event: 'run.completed' });
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+  assert.equal(sign(body, 1700000000, 'secret'), `sha256=${expected}`);
+});
+
+test('signatures change with the timestamp and the secret', () => {
+  const body = '{}';
+  assert.notEqual(sign(body, 1, 'secret'), sign(body, 2, 'secret'));
+  assert.notEqual(sign(body, 1, 'secret'), sign(body, 1, 'other'));
+});
+
+test('generates distinct secrets', () => {
+  assert.match(generateSecret(), /^[0-9a-f]{48}$/);
+  assert.notEqual(generateSecret(), generateSecret());
+});